@@ -12,7 +12,8 @@
  * Where each row represents an interaction event between 2 proteins<br/>
  * <li>The "Protein A" (config.proteinAColumn) column should contain the protein of one of the proteins involved in the interaction event.</li>
  * <li>The "Protein B" (config.proteinBColumn)column should contain the protein of the other protein involved in the interaction event.</li>
- * <li>The "Order" (config.timePointColumn)column should specify the order in which the interaction events occur in contiguous incrementing integers starting from 1</li>
+ * <li>The "Order" (config.timePointColumn)column should specify the order in which the interaction events occur in contiguous incrementing integers starting from 1
+ * or, depending on config.timeType, the elapsed time or date/time at which they occur</li>
  * @example
  * multiComplex.config.sourceType = multiComplex.constants.sourceType.GOOGLE_SPREADSHEET;
  * multiComplex.config.source =  "https://docs.google.com/spreadsheets/d/1mlnSovT52sNoAtfnB44wFqecsVE-U3M4dNAPVO9ZQws/pubhtml";
@@ -27,6 +28,195 @@ let multiComplex = function () {
     "use strict";
     let multiComplexReturns = {};
 
+    multiComplexReturns.constants = Object.freeze({
+        sourceType: Object.freeze({
+            GOOGLE_SPREADSHEET: "googleSpreadSheet",
+            CSV_FILE: "csvFile",
+            TSV_FILE: "tsvFile",
+            JSON_FILE: "jsonFile",
+            MITAB_FILE: "mitabFile",
+            SIF_FILE: "sifFile",
+            ARRAY: "array",
+            FILE: "file"
+        }),
+        interactorName: Object.freeze({
+            ALIAS: "alias",
+            ID: "id"
+        }),
+        severity: Object.freeze({
+            FATAL: "fatal",
+            ERROR: "error",
+            WARNING: "warning"
+        }),
+        trackOrder: Object.freeze({
+            COUNT: "count",
+            FIRST_APPEARANCE: "firstAppearance",
+            ALPHABETICAL: "alphabetical",
+            COMPLEX: "complex",
+            OPTIMISED: "optimised"
+        }),
+        comparison: Object.freeze({
+            NONE: "none",
+            OVERLAY: "overlay",
+            SIDE_BY_SIDE: "sideBySide"
+        }),
+        proteinLabel: Object.freeze({
+            SYMBOL: "symbol",
+            ACCESSION: "accession",
+            BOTH: "both"
+        }),
+        renderer: Object.freeze({
+            SVG: "svg",
+            CANVAS: "canvas"
+        }),
+        repeatedInteractions: Object.freeze({
+            ALL: "all",
+            FIRST_LAST: "firstLast"
+        }),
+        eventType: Object.freeze({
+            BIND: "bind",
+            UNBIND: "unbind",
+            DEGRADE: "degrade"
+        }),
+        timeType: Object.freeze({
+            ORDINAL: "ordinal",
+            NUMERIC: "numeric",
+            DATE: "date"
+        }),
+        dataTable: Object.freeze({
+            NONE: "none",
+            HIDDEN: "hidden",
+            VISIBLE: "visible"
+        }),
+        summaryFormat: Object.freeze({
+            CSV: "csv",
+            JSON: "json",
+            GRAPHML: "graphml"
+        }),
+        summaryTable: Object.freeze({
+            PROTEINS: "proteins",
+            TIME_POINTS: "timePoints",
+            EDGES: "edges"
+        })
+    });
+
+    const constants = multiComplexReturns.constants;
+
+    /**
+     * the type, default and allowed values of every config setting, values read from the URL are parsed and checked against it
+     * <br/>"string" - any text, "flag" - "true" or "false" (true and false are turned into these), "constant" - one of the values of the constants group in values,
+     * "number" - a number no less than min, greater than greaterThan and no more than max, null if nullable is set, a whole number if integer is set,
+     * "boolean" - true or false, "loader" - the sourceType of a registered loader, blank if nullable is set,
+     * "trackOrder" - one of constants.trackOrder or a comma separated list of proteins
+     * <br/>settings with url false can not be set from the URL, those that load data or style sheets are left out so a shared link can not load anything the page does not
+     * <br/>a loader's source names the setting it loads, it is only read from and put in the URL while that source is a url (not an array of rows or a File)
+     */
+    const configSchema = Object.freeze({
+        sourceType: {type: "loader", default: "", source: "source"},
+        source: {type: "string", default: "", url: false}, // or an array of rows or a File
+        timePointColumn: {type: "string", default: "Order"},
+        timeType: {type: "constant", values: constants.timeType, default: "numeric"},
+        timeFormat: {type: "string", default: ""},
+        timeTickFormat: {type: "string", default: ""},
+        timeAxisLabel: {type: "string", default: "Time"},
+        proteinAColumn: {type: "string", default: "Protein A"},
+        proteinBColumn: {type: "string", default: "Protein B"},
+        minimumInteractionCount: {type: "number", default: 3, min: 1, integer: true},
+        removeDuplicateInteractions: {type: "flag", default: "false"},
+        eventIdColumn: {type: "string", default: "ID"},
+        eventTypeColumn: {type: "string", default: ""},
+        interactorName: {type: "constant", values: constants.interactorName, default: "alias"},
+        interactionTimeField: {type: "string", default: ""},
+        repeatedInteractions: {type: "constant", values: constants.repeatedInteractions, default: "all"},
+        trackOrder: {type: "trackOrder", default: "count"}, // or (not from the URL) an array of proteins or a comparator function
+        comparison: {type: "constant", values: constants.comparison, default: "none"},
+        compareSource: {type: "string", default: "", url: false},
+        compareSourceType: {type: "loader", default: "", nullable: true, source: "compareSource"},
+        conditionColumn: {type: "string", default: ""},
+        conditionSuffix: {type: "string", default: ""},
+        conditionLabels: {type: "string", default: ""},
+        identifierMap: {type: "string", default: "", url: false},
+        identifierMapType: {type: "loader", default: "", nullable: true, source: "identifierMap"},
+        identifierColumn: {type: "string", default: "Identifier"},
+        accessionColumn: {type: "string", default: "Accession"},
+        symbolColumn: {type: "string", default: "Symbol"},
+        proteinLabel: {type: "constant", values: constants.proteinLabel, default: "symbol"},
+        showComplexes: {type: "flag", default: "false"},
+        timeZoom: {type: "flag", default: "false"},
+        colorColumn: {type: "string", default: ""},
+        sizeColumn: {type: "string", default: ""},
+        shapeColumn: {type: "string", default: ""},
+        playbackControls: {type: "flag", default: "false"},
+        playbackInterval: {type: "number", default: 1000, greaterThan: 0},
+        filterControls: {type: "flag", default: "false"},
+        renderer: {type: "constant", values: constants.renderer, default: "svg"},
+        minimumLabelHeight: {type: "number", default: 6, min: 0},
+        networkView: {type: "flag", default: "false"},
+        dataTable: {type: "constant", values: constants.dataTable, default: "none"},
+        showValidationReport: {type: "flag", default: "true"},
+        exportButtons: {type: "flag", default: "false"},
+        exportFileName: {type: "string", default: "multiComplex"},
+        exportFontFamily: {type: "string", default: ""},
+        exportFontFace: {type: "string", default: "", url: false},
+        screenProportion: {type: "number", default: 0.7, greaterThan: 0, max: 1},
+        outerWidth: {type: "number", default: null, greaterThan: 0, nullable: true},
+        outerHeight: {type: "number", default: null, greaterThan: 0, nullable: true},
+        xRatio: {type: "number", default: null, greaterThan: 0, max: 1, nullable: true},
+        yRatio: {type: "number", default: null, greaterThan: 0, max: 1, nullable: true},
+        useURLConfig: {type: "boolean", default: false, url: false},
+        selector: {type: "string", default: "body", url: false}
+    });
+
+    /**
+     * default config settings copied into every chart created, see config for descriptions
+     */
+    const defaultConfig = Object.freeze(d3.keys(configSchema).reduce(function (defaults, key) {
+        defaults[key] = configSchema[key].default;
+        return defaults;
+    }, {}));
+
+    /**
+     * the view state kept in the URL by getPermalink, parsed in the same way as configSchema
+     * <br/>"range" - two numbers separated by a comma, either can be left out if openEnded is set, "list" - comma separated proteins
+     * <br/>time points are numbers, dates are ms since 1970 and "ordinal" time points their position from 1
+     */
+    const viewSchema = Object.freeze({
+        timeRange: {type: "range"}, // the time range zoomed to
+        search: {type: "string"},
+        include: {type: "list"},
+        exclude: {type: "list"},
+        filterTimeRange: {type: "range", openEnded: true},
+        seek: {type: "number"},
+        networkTimePoint: {type: "number"},
+        selectedProtein: {type: "string"}, // the track of the selected interaction point
+        selectedEvent: {type: "string"}
+    });
+
+    /**
+     * Creates an independent chart with its own config, data, scales and SVG canvas
+     * so that several charts can be rendered on the same page
+     * @param {object} [instanceConfig] config settings overriding the defaults listed under config
+     * @returns {object} chart with its own config, draw() and destroy()
+     * @example
+     * let chartA = multiComplex.create({selector: "#chartA", sourceType: "csvFile", source: "replicate1.csv"});
+     * let chartB = multiComplex.create({selector: "#chartB", sourceType: "csvFile", source: "replicate2.csv"});
+     * chartA.draw();
+     * chartB.draw();
+     */
+    multiComplexReturns.create = function (instanceConfig) {
+        return createChart(instanceConfig);
+    };
+
+    /**
+     * numbers each chart created so the ids of its elements are unique on the page
+     */
+    let chartCount = 0;
+
+    /**
+     * the default chart driven by multiComplex.config and multiComplex.draw()
+     */
+    let defaultChart = createChart();
+
     /**
      * configuration settings to determine how the module will load event data and render tracks
      * @property {url} googleSpreadSheet - published googleSpreadSheet link.
@@ -34,124 +224,5334 @@ let multiComplex = function () {
      * but if none is listed will use csvFile
      * @property {filePath} csvFile - local .csv file to load data from
      * @property {string} timePointColumn - column protein for the "order" data in the file to be loaded
+     * @property {string} timeType - one of constants.timeType, how values in timePointColumn are read and spaced along the time axis
+     * <br/>"numeric" - numbers (eg Order or elapsed minutes) drawn to scale so uneven gaps are shown
+     * <br/>"ordinal" - distinct values drawn evenly spaced in order (numeric order if all values are numbers otherwise the order they first appear)
+     * <br/>"date" - dates/times parsed with timeFormat and drawn to scale on a time scale
+     * @property {string} timeFormat - d3.timeParse format used to read "date" time points (eg "%d/%m/%Y %H:%M"), if not set ISO 8601 is expected
+     * @property {string} timeTickFormat - optional d3.format ("numeric") or d3.timeFormat ("date") specifier for the time axis ticks and tooltips
+     * @property {string} timeAxisLabel - label shown at the end of the time axis (eg "Time (min)")
      * @property {string} proteinAColumn - column protein for the first protein in an interaction in the file to be loaded
      * @property {string} proteinBColumn - column protein for the second protein in an interaction in the file to be loaded
      * @property {number} minimumInteractionCount - if a track has less interactions than the minimumInteractionCount it won't be displayed
      * @property {string} removeDuplicateInteractions - can be either "true" or "false" will remove mirrored interactions from smaller tracks if true
-     * @property {decimal} screenProportion - sets maximum proportion of a widow diemsion the canvas can take up, can be >0 and <= 1 eg 0.5 would take up at most half width and half height
+     * @property {string} eventIdColumn - column name for the event identity (eg "ID"), each row is kept as its own interaction point
+     * @property {string} eventTypeColumn - optional column name for the event type, values are one of constants.eventType (case insensitive)
+     * <br/>"bind" (or blank) binds protein A and B, "unbind" dissociates them and "degrade" removes protein A ending all of its interactions
+     * <br/>if not set every row is a "bind" event
+     * @property {string} interactorName - one of constants.interactorName, how proteins are named when loading PSI-MI TAB data
+     * <br/>"alias" uses the interactor's gene name alias (or its first alias) falling back to its identifier, "id" uses its identifier (eg P06493 from uniprotkb:P06493)
+     * @property {string} interactionTimeField - where the time point of each interaction is read from when loading PSI-MI TAB or SIF data
+     * <br/>"parameter:[type]" an interaction parameter (eg "parameter:time"), "annotation:[topic]" an interaction annotation (eg "annotation:comment"),
+     * "type" the interaction type (SIF relationship type), if not set each interaction's position in the file is used
+     * @property {string} repeatedInteractions - one of constants.repeatedInteractions, "all" keeps every event between the same two proteins
+     * and "firstLast" keeps only the first and last contact
+     * @property {string|function|Array} trackOrder - how tracks are ordered from the top, one of constants.trackOrder
+     * <br/>"count" most interactions first, "firstAppearance" earliest first interaction first, "alphabetical" by protein,
+     * "complex" grouped by the first complex their protein joined in the order the complexes formed,
+     * "optimised" frequently interacting proteins on adjacent tracks so partners are close together and connectors are short
+     * <br/>or a comparator function (trackA, trackB) of tracks ({protein, interactions, complex, founderComplex})
+     * or a list of proteins as an array or comma separated string, proteins not listed follow in "count" order
+     * @property {string} comparison - one of constants.comparison, "overlay" or "sideBySide" compares two conditions or replicates on shared tracks
+     * <br/>the same protein in both conditions shares a track and each event is colored by whether the other condition has it at the same time point, at another time point (shifted) or not at all
+     * <br/>"overlay" draws both conditions along the track, "sideBySide" draws the first condition's points above the track and the second's below it
+     * <br/>the conditions are set by one of compareSource, conditionColumn or conditionSuffix
+     * @property {string|Array|File} compareSource - the second condition's data loaded in the same way as source
+     * @property {string} compareSourceType - one of constants.sourceType for compareSource, defaults to sourceType
+     * @property {string} conditionColumn - column whose value gives each event's condition, events with values other than the two conditions are left out
+     * @property {string} conditionSuffix - suffix marking the second condition's proteins (eg "_2" for CDK1_2), it is removed so CDK1 and CDK1_2 share a track
+     * @property {string} conditionLabels - comma separated names of the two conditions (eg "Control,Treated"), defaults to the first two values of conditionColumn or "A,B"
+     * @property {string|Array|File} identifierMap - optional table mapping protein identifiers to one protein loaded in the same way as source,
+     * each row gives an identifier (eg a synonym such as CDC2) with the accession and symbol of the protein it names
+     * <br/>every identifier, accession and symbol in the table is replaced by its protein's name before the tracks are built so they share a track,
+     * identifiers not in the table or naming more than one protein are left as they are and listed in the validation report
+     * @property {string} identifierMapType - one of constants.sourceType for identifierMap, defaults to sourceType
+     * @property {string} identifierColumn - identifierMap column holding the identifier
+     * @property {string} accessionColumn - identifierMap column holding the protein's accession (eg P06493)
+     * @property {string} symbolColumn - identifierMap column holding the protein's gene symbol (eg CDK1)
+     * @property {string} proteinLabel - one of constants.proteinLabel, how mapped proteins are named,
+     * "symbol" (accessions sharing a symbol are named with both), "accession" or "both" (eg "CDK1 (P06493)")
+     * @property {string} showComplexes - can be either "true" or "false" colors tracks by the first complex their protein joined and draws connectors where complexes merge if true, defaults to "false"
+     * @property {string} timeZoom - can be either "true" or "false" enables zooming and panning along the time axis
+     * and draws an overview brush strip below the chart to select a time range if true, defaults to "false"
+     * @property {string} colorColumn - optional column name whose values color interaction points and track segments
+     * @property {string} sizeColumn - optional column name whose values size interaction points
+     * @property {string} shapeColumn - optional column name whose values set the shape of interaction points
+     * <br/>columns where every value is a number use a sequential (color) or linear (size) scale otherwise each distinct value is a category
+     * <br/>a legend is drawn below the time axis for every column used
+     * @property {string} playbackControls - can be either "true" or "false" draws play, pause and step buttons and a time slider below the chart if true
+     * @property {number} playbackInterval - time in ms between each time point during playback
+     * @property {string} filterControls - can be either "true" or "false" draws a protein search box, include and exclude lists, a time range and a minimum interaction slider below the chart if true
+     * @property {string} renderer - one of constants.renderer, "svg" draws every track, point and label as SVG elements,
+     * "canvas" draws the tracks into a single canvas with the same layout for data with thousands of tracks or events
+     * <br/>with "canvas" the time axis, legend and time brush are still SVG and exported files are drawn as SVG
+     * @property {number} minimumLabelHeight - the "canvas" renderer leaves out track and interaction labels when their height or the space between tracks is less than this many px
+     * @property {string} networkView - can be either "true" or "false" draws a node-link graph of every protein and partner beside the chart if true
+     * <br/>edges are the partners listed on each track up to the time point selected by clicking the time axis (or the playback time point), hovering a node highlights its track
+     * @property {string} dataTable - one of constants.dataTable, "hidden" adds a table of the events drawn after the chart that only screen readers find until its button shows it,
+     * "visible" shows it from the start and "none" (the default) leaves it out
+     * @property {string} showValidationReport - can be either "true" or "false" shows the issues found validating the loaded data in a panel above the chart if true
+     * @property {string} exportButtons - can be either "true" or "false" draws buttons below the chart to download it as SVG or PNG if true
+     * @property {string} exportFileName - file name (without extension) used by the download buttons
+     * @property {string} exportFontFamily - optional font-family substituted for the page's fonts in exported files (eg "Arial, sans-serif")
+     * @property {string} exportFontFace - optional @font-face CSS (eg with a base64 data url) embedded in exported files so web fonts render without the page
+     * @property {decimal} screenProportion - sets maximum proportion of the config.selector container's width and height the canvas can take up, can be >0 and <= 1 eg 0.5 would take up at most half width and half height
+     * <br/>the container's height less anything else in it is used, charts in the page body or in containers sized by their content use the viewport height
+     * <br/>the chart is laid out again whenever the container is resized
      * @property {decimal} xRatio - ratio of x dimension of canvas to screenProportion Width, can be >0 and <= 1
      * @property {decimal} yRatio - ratio of y dimension of canvas to screenProportion Height, can be >0 and <= 1
      * @property {number} outerWidth - canvas width in px. Used to overRide the setting made by xRatio if a set canvas width is desired
      * @property {number} outerHeight - canvas height in px. used to overRide the setting made by yRatio if a set canvas height is desired
      * @property {string} selector - used to specified the DOM element that the SVG canvas will be appended to
+     * @property {boolean} useURLConfig - if true config settings and the view (zoom, filters, playback and selection) are read from the page's URL,
+     * parsed and checked against configSchema, and the URL is kept up to date as the chart is used, see chart.getPermalink
+     */
+    multiComplexReturns.config = defaultChart.config;
+
+    /**
+     * Triggers loading and processing data, generating settings from config and rendering data
      */
+    multiComplexReturns.draw = function () {
+        return defaultChart.draw();
+    };
 
-    multiComplexReturns.config = {
-        sourceType: "",
-        source: "",
-        timePointColumn: "Order",
-        proteinAColumn: "Protein A",
-        proteinBColumn: "Protein B",
-        minimumInteractionCount: 3,
-        removeDuplicateInteractions: "false", // "true" or "false"
-        screenProportion: 0.7,
-        outerWidth: null,
-        outerHeight: null,
-        xRatio: null,
-        yRatio: null,
-        useURLConfig: false,
-        selector: "body"
+    /**
+     * Adds a loader for a new sourceType (or replaces the loader of an existing one) for every chart
+     * @param {string} sourceType - the config.sourceType value that selects the loader
+     * @param {function} loader - called with (config.source, config) returning the rows as an array of objects keyed by column name or a Promise resolving to them
+     * @example
+     * multiComplex.registerLoader("restStandIn", function (source) {
+     *     return fetch("http://localhost:3000/events/" + source).then(function (response) {
+     *         return response.json();
+     *     });
+     * });
+     * multiComplex.config.sourceType = "restStandIn";
+     */
+    multiComplexReturns.registerLoader = function (sourceType, loader) {
+        if (typeof loader !== "function") {
+            throw "Loader for sourceType " + sourceType + " is not a function";
+        }
+        loaders[sourceType] = loader;
     };
 
-    multiComplexReturns.constants = Object.freeze({
-        sourceType: Object.freeze({
-            GOOGLE_SPREADSHEET: "googleSpreadSheet",
-            CSV_FILE: "csvFile"
-        })
-    });
+    /**
+     * Draws the default chart from the file chosen in a file input or dropped on a drop zone, see chart.bindFileInput
+     */
+    multiComplexReturns.bindFileInput = function (selector) {
+        defaultChart.bindFileInput(selector);
+    };
 
     /**
-     * Triggers loading and processing data, generating settings from config and rendering data
+     * Subscribes a handler to a stage of drawing the default chart or to user interaction, see chart.on
+     */
+    multiComplexReturns.on = function (type, handler) {
+        defaultChart.on(type, handler);
+        return multiComplexReturns;
+    };
+
+    /**
+     * Removes the default chart's SVG canvas and clears its data
      */
+    multiComplexReturns.destroy = function () {
+        defaultChart.destroy();
+    };
 
+    /**
+     * Returns the complexes and complex timeline of the default chart, see chart.getComplexes
+     */
+    multiComplexReturns.getComplexes = function () {
+        return defaultChart.getComplexes();
+    };
 
-    multiComplexReturns.draw = function () {
-        setConfig();
-        getInteractionEvents()
-            .then(convertInteractionEventsToTracks)
-            .then(generateSettings)
-            .then(setupCanvas)
-            .then(drawTimeAxis)
-            .then(drawTracks)
-            .catch(toConsoleError);
+    /**
+     * Returns the default chart's data validation report, see chart.getValidationReport
+     */
+    multiComplexReturns.getValidationReport = function () {
+        return defaultChart.getValidationReport();
     };
 
     /**
-     * private variables
+     * Returns the default chart's comparison of two conditions, see chart.getComparison
      */
+    multiComplexReturns.getComparison = function () {
+        return defaultChart.getComparison();
+    };
 
-    let config = multiComplexReturns.config;
-    const constants = multiComplexReturns.constants;
+    /**
+     * Returns how the default chart's identifiers were mapped, see chart.getIdentifierMapping
+     */
+    multiComplexReturns.getIdentifierMapping = function () {
+        return defaultChart.getIdentifierMapping();
+    };
+
+    /**
+     * Returns the default chart's network view, see chart.getNetwork
+     */
+    multiComplexReturns.getNetwork = function () {
+        return defaultChart.getNetwork();
+    };
+
+    /**
+     * Shows the default chart's network up to timePoint, see chart.selectTimePoint
+     */
+    multiComplexReturns.selectTimePoint = function (timePoint) {
+        defaultChart.selectTimePoint(timePoint);
+    };
+
+    /**
+     * Returns the time range shown by the default chart, see chart.getTimeRange
+     */
+    multiComplexReturns.getTimeRange = function () {
+        return defaultChart.getTimeRange();
+    };
+
+    /**
+     * Filters the default chart's tracks without reloading its data, see chart.filter
+     */
+    multiComplexReturns.filter = function (filters) {
+        return defaultChart.filter(filters);
+    };
+
+    /**
+     * Returns the filters applied to the default chart, see chart.getFilter
+     */
+    multiComplexReturns.getFilter = function () {
+        return defaultChart.getFilter();
+    };
+
+    /**
+     * Zooms the default chart's time axis, see chart.setTimeRange
+     */
+    multiComplexReturns.setTimeRange = function (timeRange) {
+        defaultChart.setTimeRange(timeRange);
+    };
+
+    /**
+     * Plays the default chart's formation, see chart.play
+     */
+    multiComplexReturns.play = function () {
+        defaultChart.play();
+    };
+
+    /**
+     * Pauses the default chart's playback, see chart.pause
+     */
+    multiComplexReturns.pause = function () {
+        defaultChart.pause();
+    };
+
+    /**
+     * Shows the default chart's events up to timePoint, see chart.seek
+     */
+    multiComplexReturns.seek = function (timePoint) {
+        defaultChart.seek(timePoint);
+    };
+
+    /**
+     * Steps the default chart's playback, see chart.step
+     */
+    multiComplexReturns.step = function (steps) {
+        defaultChart.step(steps);
+    };
+
+    /**
+     * Returns the default chart's frame at each time point, see chart.exportFrames
+     */
+    multiComplexReturns.exportFrames = function () {
+        return defaultChart.exportFrames();
+    };
+
+    /**
+     * Returns the default chart's summary of the tracks drawn, see chart.getSummary
+     */
+    multiComplexReturns.getSummary = function () {
+        return defaultChart.getSummary();
+    };
+
+    /**
+     * Returns the default chart's summary as CSV, JSON or GraphML, see chart.exportSummary
+     */
+    multiComplexReturns.exportSummary = function (format, table) {
+        return defaultChart.exportSummary(format, table);
+    };
+
+    /**
+     * Returns a URL of the page drawing the default chart as it is now, see chart.getPermalink
+     */
+    multiComplexReturns.getPermalink = function () {
+        return defaultChart.getPermalink();
+    };
+
+    /**
+     * Returns the default chart as standalone SVG markup, see chart.exportSVG
+     */
+    multiComplexReturns.exportSVG = function () {
+        return defaultChart.exportSVG();
+    };
+
+    /**
+     * Renders the default chart to a PNG Blob, see chart.exportPNG
+     */
+    multiComplexReturns.exportPNG = function (options) {
+        return defaultChart.exportPNG(options);
+    };
+
+    /**
+     * builds a chart whose state is private to this closure
+     * @param {object} [instanceConfig] config settings overriding defaultConfig
+     */
+    function createChart(instanceConfig) {
+        let chart = {};
+
+        chart.config = Object.assign({}, defaultConfig, instanceConfig);
+
+        /**
+         * Triggers loading and processing data, generating settings from config and rendering data
+         * @returns {Promise} resolves with {tracks, settings} once the chart is rendered or is rejected with the error that stopped it
+         */
+        chart.draw = function () {
+            return Promise.resolve()
+                .then(setConfig)
+                .then(getInteractionEvents)
+                .then(notifyDataLoaded)
+                .then(convertInteractionEventsToTracks)
+                .then(notifyTracksBuilt)
+                .then(setupPlaybackControls)
+                .then(setupFilterControls)
+                .then(setupExportButtons)
+                .then(setupDataTable)
+                .then(renderCanvas)
+                .then(observeContainerSize)
+                .then(showURLView)
+                .then(notifyRendered)
+                .catch(function (error) {
+                    toConsoleError(error);
+                    lifecycle.call("error", chart, error);
+                    throw error;
+                });
+        };
+
+        /**
+         * Draws the chart from the file chosen in a file input or dropped on a drop zone (any other element)
+         * <br/>the file is read as JSON or TSV if its name or type says so and as CSV otherwise, the drop zone has the dragOver class while a file is dragged over it
+         * @param {string} selector - the file input or drop zone element
+         */
+        chart.bindFileInput = function (selector) {
+            let element = d3.select(selector);
+            if (element.property("type") === "file") {
+                element.on("change", function () {
+                    drawFile(this.files[0]);
+                });
+                return;
+            }
+            element
+                .on("dragover", function () {
+                    d3.event.preventDefault();
+                    element.classed("dragOver", true);
+                })
+                .on("dragleave", function () {
+                    element.classed("dragOver", false);
+                })
+                .on("drop", function () {
+                    d3.event.preventDefault();
+                    element.classed("dragOver", false);
+                    drawFile(d3.event.dataTransfer.files[0]);
+                });
+        };
+
+        /**
+         * Subscribes a handler to a stage of drawing the chart or to user interaction, handlers are called with the chart as this
+         * <br/>"dataLoaded" (interactionEvents, validationReport) - the data is loaded and validated
+         * <br/>"tracksBuilt" (tracks) - the tracks and complexes are built from the data
+         * <br/>"rendered" ({tracks, settings}) - the chart is drawn
+         * <br/>"error" (error) - draw() failed
+         * <br/>"trackClick" (track, trackNumber, interaction) - a track label, path or interaction point is clicked, interaction is only given for points
+         * <br/>as with d3.dispatch a name can be added after the type (eg "rendered.myPage") to keep several handlers, setting a handler again replaces it and null removes it
+         * @param {string} type
+         * @param {function} handler
+         * @returns {object} the chart
+         */
+        chart.on = function (type, handler) {
+            lifecycle.on(type, handler);
+            return chart;
+        };
+
+        /**
+         * Returns the report from validating the data loaded by the last draw()
+         * @returns {object} {issues, fatal, errorCount, warningCount, rowCount, validRowCount}
+         * <br/>issues - [{row, severity, column, message}] where row is the spreadsheet row number (the header is row 1) or null for issues with the whole data set
+         * and severity is one of constants.severity, "fatal" issues stop the chart being drawn, rows with "error" issues are left out and "warning" rows are kept
+         */
+        chart.getValidationReport = function () {
+            return validationReport;
+        };
+
+        /**
+         * Returns how the two conditions compare when config.comparison is set, from every event loaded by the last draw()
+         * @returns {object} {conditions, proteins} or null if no conditions are compared
+         * <br/>conditions - the names of the two conditions
+         * <br/>proteins - [{protein, interactionCounts, shared, shifted, unique, meanShift}] most different first, interactionCounts and unique hold a count for each condition,
+         * shared counts events also in the other condition at the same time point, shifted those only at other time points and meanShift is their mean time from the first condition to the second
+         */
+        chart.getComparison = function () {
+            return comparison;
+        };
+
+        /**
+         * Returns how the identifiers of the events loaded by the last draw() were mapped by config.identifierMap
+         * @returns {object} {mapped, unmapped, ambiguous} or null if no identifierMap is set
+         * <br/>mapped - [{identifier, protein}] the identifiers replaced and the protein (track) names they were replaced by
+         * <br/>unmapped - [identifiers] not in the table
+         * <br/>ambiguous - [{identifier, proteins}] naming more than one protein in the table, they are left as they are
+         */
+        chart.getIdentifierMapping = function () {
+            return identifierMapping;
+        };
+
+        /**
+         * Returns the graph drawn by config.networkView, a node for every protein with a track or listed as a track's partner
+         * and an edge for every pair of partners first seen up to the network's time point
+         * @returns {object} {timePoint, nodes, edges} or null if the network view is not drawn
+         * <br/>nodes - [{protein, hasTrack, degree}] where degree counts the node's edges up to timePoint
+         * <br/>edges - [{source, target, count, firstTimePoint}] where source and target are proteins and count is the number of events between them
+         */
+        chart.getNetwork = function () {
+            if (!network) {
+                return null;
+            }
+            let timePoint = getNetworkTimePoint();
+            let edges = network.edges.filter(function (edge) {
+                return edge.firstTimePoint <= timePoint;
+            });
+            let degrees = getNetworkDegrees(edges);
+            return {
+                timePoint: timePoint,
+                nodes: network.nodes.map(function (node) {
+                    return {protein: node.protein, hasTrack: node.hasTrack, degree: degrees[node.protein] || 0};
+                }),
+                edges: edges.map(function (edge) {
+                    return {source: edge.source.protein, target: edge.target.protein, count: edge.count, firstTimePoint: edge.firstTimePoint};
+                })
+            };
+        };
+
+        /**
+         * Shows the network view's edges up to timePoint and marks it on the time axis, as clicking the time axis does
+         * <br/>if timePoint is null the network follows playback, showing every edge when the chart is not being played
+         * <br/>ignored until the chart is drawn
+         * @param {number|Date} timePoint
+         */
+        chart.selectTimePoint = function (timePoint) {
+            if (!graphArea) {
+                return;
+            }
+            selectNetworkTimePoint(timePoint === null ? null : +timePoint);
+        };
+
+        /**
+         * Returns the complexes built from the last draw() and the timeline of when they formed, grew and merged
+         * @returns {object} {complexes, timeline}
+         * <br/>complexes - [{id, proteins, formedAt, mergedFrom, mergedInto, mergedAt}] complexes with no mergedInto value are the final complexes
+         * <br/>timeline - [{type ("form", "join" or "merge"), timePoint, eventId, complex, proteins, mergedFrom}] in time order
+         */
+        chart.getComplexes = function () {
+            return {complexes: complexes, timeline: complexTimeline};
+        };
+
+        /**
+         * Returns the time range currently shown on the time axis
+         * @returns {Array} [start, end]
+         */
+        chart.getTimeRange = function () {
+            return xScale ? xScale.domain() : null;
+        };
+
+        /**
+         * Zooms the time axis to show only the given time range, the full range is shown if none is given
+         * <br/>ignored until the chart is drawn
+         * @param {Array} [timeRange] [start, end]
+         */
+        chart.setTimeRange = function (timeRange) {
+            if (!graphArea) {
+                return;
+            }
+            setTimeDomain(timeRange || baseXScale.domain());
+        };
+
+        /**
+         * Filters the tracks using the events already loaded, only the tracks are rebuilt and redrawn moving, adding and removing them over a transition
+         * <br/>filters set before the chart is drawn (or while it is loading) are applied when it is drawn, null clears the search, include, exclude and timeRange filters
+         * @param {object} filters - any of
+         * <br/>search - only tracks whose protein contains this text (case insensitive) are shown
+         * <br/>include - [proteins] only these proteins' tracks are shown
+         * <br/>exclude - [proteins] events with these proteins are left out
+         * <br/>timeRange - [start, end] events outside this range are left out, either end can be null
+         * <br/>minimumInteractionCount, removeDuplicateInteractions - replace the config settings
+         * <br/>if the tracks can not be rebuilt the chart and its filters are left as they were and the error is sent to "error" handlers rather than thrown
+         * @returns {object} {tracks, settings} or null if the chart has not been drawn or could not be refiltered
+         */
+        chart.filter = function (filters) {
+            let previousFilters = chart.getFilter();
+            setFilters(filters);
+            if (!graphArea) {
+                return null;
+            }
+            let rendered = refilterTracks();
+            if (!rendered) {
+                setFilters(previousFilters);
+                updateFilterControls();
+            }
+            return rendered;
+        };
+
+        /**
+         * Returns the filters applied to the chart, see chart.filter
+         * @returns {object} {search, include, exclude, timeRange, minimumInteractionCount, removeDuplicateInteractions}
+         */
+        chart.getFilter = function () {
+            return {
+                search: filters.search,
+                include: filters.include.slice(),
+                exclude: filters.exclude.slice(),
+                timeRange: filters.timeRange ? filters.timeRange.slice() : null,
+                minimumInteractionCount: config.minimumInteractionCount,
+                removeDuplicateInteractions: config.removeDuplicateInteractions
+            };
+        };
+
+        /**
+         * Plays the chart's formation from its first time point (or from the current one if paused part way through)
+         * revealing each time point in turn every config.playbackInterval ms
+         * <br/>ignored until the chart is drawn
+         */
+        chart.play = function () {
+            if (!graphArea) {
+                return;
+            }
+            startPlayback();
+        };
+
+        /**
+         * Pauses playback leaving the chart showing events up to the current time point
+         */
+        chart.pause = function () {
+            stopPlayback();
+        };
+
+        /**
+         * Shows only the events up to and including timePoint, all events are shown again if timePoint is null
+         * <br/>ignored until the chart is drawn
+         * @param {number|Date} timePoint
+         */
+        chart.seek = function (timePoint) {
+            if (!graphArea) {
+                return;
+            }
+            seekPlayback(timePoint === null ? null : +timePoint, config.playbackInterval / 2);
+        };
+
+        /**
+         * Moves playback forward (or back if steps is negative) by a number of time points
+         * <br/>ignored until the chart is drawn
+         * @param {number} [steps=1]
+         */
+        chart.step = function (steps) {
+            if (!graphArea) {
+                return;
+            }
+            stepPlayback(steps === undefined ? 1 : steps);
+        };
+
+        /**
+         * Renders the chart at each time point in turn and returns the frames in sequence, the chart is then returned to its current state
+         * @returns {Array} [{timePoint, svg}] where svg is the serialised SVG markup of the frame
+         */
+        chart.exportFrames = function () {
+            let currentTimePoint = playbackTimePoint,
+                currentNetworkTimePoint = networkTimePoint;
+            let frames = getTimePoints().map(function (timePoint) {
+                seekPlayback(timePoint, 0);
+                return {timePoint: timePoint, svg: serializeCanvas()};
+            });
+            seekPlayback(currentTimePoint, 0);
+            selectNetworkTimePoint(currentNetworkTimePoint);
+            return frames;
+        };
+
+        /**
+         * Returns what the tracks drawn show about each protein, time point and pair of partners,
+         * it changes with chart.filter and with the config settings that change the tracks
+         * @returns {object} {proteins, timePoints, edges} or null if the chart has not been drawn
+         * <br/>proteins - [{protein, hasTrack, degree, interactionCount, firstTimePoint, lastTimePoint, partners}] for every protein with a track or listed as a track's partner,
+         * hubs (most partners) first, degree counts its partners and interactionCount its events with them
+         * <br/>timePoints - [{timePoint, activeProteins, interactionCount, newInteractions}] in time order, activeProteins counts the proteins with an event at the time point
+         * and newInteractions the pairs of partners first seen at it
+         * <br/>edges - [{source, target, count, firstTimePoint, lastTimePoint}] each pair of partners as in the network view, count is the number of events between them
+         */
+        chart.getSummary = function () {
+            return graphArea ? getSummary() : null;
+        };
+
+        /**
+         * Returns the summary as a file's contents with time points formatted as in the tooltips
+         * @param {string} format - one of constants.summaryFormat
+         * <br/>"csv" one table given by table with partners separated by ";", "json" the table or if none is given the whole summary,
+         * "graphml" an undirected graph of the proteins and edges with their columns as data
+         * @param {string} [table] - one of constants.summaryTable
+         * @returns {string}
+         */
+        chart.exportSummary = function (format, table) {
+            return graphArea ? exportSummary(format, table) : null;
+        };
+
+        /**
+         * Returns a URL of the page that draws the chart as it is now when config.useURLConfig is set
+         * <br/>it holds the config settings that differ from those set by the page, the zoomed time range, filters, playback and network time points and the selected interaction point,
+         * other query parameters of the page are kept
+         * @returns {string}
+         */
+        chart.getPermalink = function () {
+            return getPermalink();
+        };
+
+        /**
+         * Returns the chart as standalone SVG markup with the page's computed styles inlined
+         * so it looks the same without the page's CSS, interactive only elements such as the time brush are left out
+         * @returns {string} SVG markup
+         */
+        chart.exportSVG = function () {
+            return getStandaloneSVG();
+        };
+
+        /**
+         * Renders the standalone SVG to a PNG image
+         * @param {object} [options] {scale} - multiplies the canvas size in px (eg 3 for print resolution), defaults to 1
+         * @returns {Promise} resolves with the PNG Blob
+         */
+        chart.exportPNG = function (options) {
+            let scale = (options && options.scale) || 1;
+            return svgToPNG(getStandaloneSVG(), settings.outerWidth, settings.outerHeight, scale);
+        };
+
+        /**
+         * Removes this chart's SVG canvas and clears its data
+         */
+        chart.destroy = function () {
+            clear();
+        };
+
+        /**
+         * private variables
+         */
+
+        let config = chart.config;
 
-    let canvasArea = null,
-        graphArea = null;
+        let canvasArea = null,
+            graphArea = null,
+            tooltip = null,
+            selectedInteraction = null,
+            timeAxisTicks = null,
+            timeBrushArea = null,
+            playbackControls = null,
+            filterControls = null,
+            complexMergeArea = null,
+            trackArea = null,
+            exportButtons = null,
+            validationPanel = null;
+
+        let networkArea = null,
+            network = null,
+            networkTimePoint = null;
+
+        let validationReport = null;
+
+        let chartId = "multiComplex" + (++chartCount);
+
+        let focusedPoint = null,
+            announcer = null,
+            dataTablePanel = null;
+
+        let pageConfig = null,
+            urlConfig = Object.create(null),
+            urlIssues = [],
+            urlView = null,
+            historyTimer = null;
+
+        let conditionLabels = [],
+            comparison = null;
+
+        let identifierMapping = null;
+
+        let resizeObserver = null,
+            resizeTimer = null;
+
+        let trackCanvas = null,
+            canvasStyles = null,
+            canvasTextWidths = null,
+            canvasTrackLayouts = [],
+            canvasExpandedBadge = null,
+            highlightedTrack = null,
+            isDrawingSVGTracks = false;
+
+        let lifecycle = d3.dispatch("dataLoaded", "tracksBuilt", "rendered", "error", "trackClick");
+
+        let playbackTimePoint = null,
+            playbackTimer = null;
+
+        let interactionEvents = [],
+            tracks = [],
+            trackCounts = Object.create(null),
+            proteinDegradations = Object.create(null);
+
+        let complexes = [],
+            complexTimeline = [],
+            complexesById = Object.create(null),
+            proteinComplexes = Object.create(null),
+            proteinFounderComplexes = Object.create(null),
+            complexColor = d3.scaleOrdinal(d3.schemeCategory10);
+
+        let ordinalTimePoints = [];
+
+        let filters = getEmptyFilters();
+
+        let encodings = [];
+
+        let xSpan = null,
+            ySpan = null,
+            xScale = null,
+            yScale = null,
+            baseXScale = null,
+            timeZoom = null,
+            timeBrush = null,
+            containerDimensions = null;
+        /**
+         * internal settings generated from the config
+         * @param {number} outerWidth canvas width in px
+         * @param {number} outerHeight canvas height in px
+         * @param {number} trackStrokeWidth width of trackpath between interaction points
+         * @param {number} interactionPointRadius radius of interaction points
+         * @param {decimal} trackLabelWidth measured width of the longest trackLabel
+         * @param {number} interactionLabelHeight height in px of the interaction label
+         * @param {number} labelRowHeight height in px of each row of interaction labels below a track
+         * @param {number} laneOffset distance in px of each condition's points from the track in a "sideBySide" comparison
+         * @param {number} fontHeightWidthRatio used to estimate text widths where the browser can not measure them, eg 2 for text half as wide as it is high
+         * @param {object} margin the margin properties in px inside the canvas
+         */
+
+        let settings = {
+            outerWidth: 0,
+            outerHeight: 0,
+            trackStrokeWidth: 0,
+            interactionPointRadius: 0,
+            trackLabelWidth: 0,
+            interactionLabelHeight: 0,
+            labelRowHeight: 0,
+            laneOffset: 0,
+            fontHeightWidthRatio: 2,
+            xRatio: 0,
+            yRatio: 0,
+            margin: {left: 0, top: 0, right: 0, bottom: 0}
+        };
+
+        /**
+         * private functions
+         */
+        function setConfig() {
+            clear();
+            restorePageConfig();
+            setFlagStrings();
+            pageConfig = Object.assign({}, config);
+            if (config.useURLConfig) {
+                setConfigFromURL();
+            }
+            validateConfig();
+        }
+
+        /**
+         * "flag" settings are compared with "true" so ones set to true or false are turned into their strings
+         */
+        function setFlagStrings() {
+            d3.keys(configSchema).forEach(function (key) {
+                if (configSchema[key].type === "flag" && typeof config[key] === "boolean") {
+                    config[key] = String(config[key]);
+                }
+            });
+        }
+
+        /**
+         * settings the URL gave the last draw go back to the page's values unless they have been changed since,
+         * so each draw starts from the page's config and permalinks only hold what differs from it
+         */
+        function restorePageConfig() {
+            d3.keys(urlConfig).forEach(function (key) {
+                if (config[key] === urlConfig[key]) {
+                    config[key] = pageConfig[key];
+                }
+            });
+            urlConfig = Object.create(null);
+        }
+
+        /**
+         * URL parameters are parsed against configSchema and viewSchema, values that can not be used are left out and listed in the validation report
+         * the filters are set before the tracks are built and the rest of the view once the chart is drawn
+         */
+        function setConfigFromURL() {
+            let urlParams = getURLParams();
+            urlView = Object.create(null);
+            for (let param in urlParams) {
+                let schema = configSchema[param] || viewSchema[param];
+                if (!schema || (param in configSchema && !isURLSetting(param))) {
+                    continue;
+                }
+                try {
+                    let value = parseURLParam(param, urlParams[param], schema);
+                    if (param in configSchema) {
+                        config[param] = urlConfig[param] = value;
+                    } else {
+                        urlView[param] = value;
+                    }
+                } catch (message) {
+                    urlIssues.push({severity: constants.severity.WARNING, row: null, column: param, message: "URL parameter " + message + " so it is ignored"});
+                }
+            }
+            try {
+                validateConfig();
+            } catch (message) {
+                let params = d3.keys(urlConfig);
+                if (!params.length) {
+                    throw message;
+                }
+                restorePageConfig();
+                urlIssues.push({severity: constants.severity.WARNING, row: null, column: params.join(", "),
+                    message: "URL parameters " + params.join(", ") + " do not work together with the page's settings (" + message + ") so they are ignored"});
+            }
+            let urlFilters = {};
+            ["search", "include", "exclude"].forEach(function (param) {
+                if (param in urlView) {
+                    urlFilters[param] = urlView[param];
+                }
+            });
+            if ("filterTimeRange" in urlView) {
+                urlFilters.timeRange = urlView.filterTimeRange;
+            }
+            setFilters(urlFilters);
+        }
+
+        /**
+         * zooms, plays to, and selects what the URL given to draw() held
+         */
+        function showURLView() {
+            if (!urlView) {
+                return;
+            }
+            if (urlView.timeRange) {
+                setTimeDomain(urlView.timeRange);
+            }
+            if ("seek" in urlView) {
+                seekPlayback(urlView.seek, 0);
+            }
+            if ("networkTimePoint" in urlView) {
+                selectNetworkTimePoint(urlView.networkTimePoint);
+            }
+            let trackNumber = getTrackNumber(urlView.selectedProtein);
+            let interaction = trackNumber < 0 ? null : tracks[trackNumber].interactions.find(function (d) {
+                return d.id === urlView.selectedEvent;
+            });
+            if (interaction) {
+                toggleSelectedInteraction(trackNumber, interaction);
+                if (trackCanvas) {
+                    drawTrackCanvas();
+                }
+            }
+            urlView = null;
+        }
+
+        /**
+         * @returns {object} the view state as viewSchema parameters, left out when there is no zoom, filter, playback or selection
+         */
+        function getURLView() {
+            let view = {};
+            if (xScale && (xScale.domain()[0] > baseXScale.domain()[0] || xScale.domain()[1] < baseXScale.domain()[1])) {
+                view.timeRange = xScale.domain();
+            }
+            if (filters.search) {
+                view.search = filters.search;
+            }
+            if (filters.include.length) {
+                view.include = filters.include;
+            }
+            if (filters.exclude.length) {
+                view.exclude = filters.exclude;
+            }
+            if (filters.timeRange) {
+                view.filterTimeRange = filters.timeRange;
+            }
+            if (playbackTimePoint !== null) {
+                view.seek = playbackTimePoint;
+            }
+            if (networkTimePoint !== null) {
+                view.networkTimePoint = networkTimePoint;
+            }
+            if (selectedInteraction) {
+                view.selectedProtein = tracks[selectedInteraction.trackNumber].protein;
+                view.selectedEvent = selectedInteraction.interaction.id;
+            }
+            return view;
+        }
+
+        function isURLSetting(key) {
+            let schema = configSchema[key];
+            return schema.url !== false && (!schema.source || isURLValue(config[schema.source]));
+        }
+
+        function getPermalink() {
+            let params = getURLParams();
+            let baseConfig = pageConfig || defaultConfig;
+            d3.keys(params).forEach(function (param) {
+                if (param in configSchema || param in viewSchema) {
+                    delete params[param];
+                }
+            });
+            d3.keys(configSchema).forEach(function (key) {
+                if (isURLSetting(key) && config[key] !== baseConfig[key] && isURLValue(config[key])) {
+                    params[key] = formatURLParam(config[key]);
+                }
+            });
+            let view = getURLView();
+            d3.keys(view).forEach(function (param) {
+                params[param] = formatURLParam(view[param]);
+            });
+            let query = d3.keys(params).map(function (param) {
+                return encodeURIComponent(param) + "=" + encodeURIComponent(params[param]).replace(/%2C/g, ",");
+            }).join("&");
+            return window.location.href.split(/[?#]/)[0] + (query ? "?" + query : "") + window.location.hash;
+        }
+
+        /**
+         * keeps the page's URL in step with the chart while the user zooms, filters, plays and selects, without adding to the browser history
+         */
+        function scheduleHistoryUpdate() {
+            if (!config.useURLConfig || !window.history || !window.history.replaceState) {
+                return;
+            }
+            if (historyTimer) {
+                historyTimer.stop();
+            }
+            historyTimer = d3.timeout(function () {
+                historyTimer = null;
+                if (graphArea) {
+                    window.history.replaceState(window.history.state, "", getPermalink());
+                }
+            }, HISTORY_DELAY);
+        }
+
+        /**
+         * loads data into eventData with the loader registered for config.sourceType
+         */
+        function getInteractionEvents() {
+            let loads = [loadSource(config.sourceType, config.source)];
+            if (isComparing() && config.compareSource) {
+                loads.push(loadSource(config.compareSourceType || config.sourceType, config.compareSource));
+            }
+            return Promise.all([Promise.all(loads), loadIdentifierMap()])
+                .then(function (loaded) {
+                    let datasets = loaded[0];
+                    setInteractionEvents(datasets.length > 1 ? combineConditions(datasets[0], datasets[1]) : datasets[0], loaded[1]);
+                });
+        }
+
+        function loadSource(sourceType, source) {
+            return Promise.resolve(loaders[sourceType](source, config));
+        }
+
+        /**
+         * @returns {Promise} resolves with the rows of config.identifierMap or null if none is set
+         */
+        function loadIdentifierMap() {
+            if (!config.identifierMap) {
+                return Promise.resolve(null);
+            }
+            return loadSource(config.identifierMapType || config.sourceType, config.identifierMap);
+        }
+
+        function drawFile(file) {
+            if (!file) {
+                return;
+            }
+            config.sourceType = constants.sourceType.FILE;
+            config.source = file;
+            chart.draw()
+                .catch(function () {
+                    // the error is already logged and shown in the validation report
+                });
+        }
+
+        /**
+         * names the data source in messages, files by their name and inline rows by their count
+         */
+        function getSourceName(source) {
+            if (Array.isArray(source)) {
+                return "the " + source.length + " rows given";
+            }
+            return (source && source.name) || String(source);
+        }
+
+        /**
+         * identifiers are mapped once condition suffixes are removed so both conditions' proteins map to the same track
+         */
+        function setInteractionEvents(data, identifierMapRows) {
+            interactionEvents = validateEventData(data);
+            if (isComparing()) {
+                conditionLabels = getConditionLabels(interactionEvents);
+                interactionEvents = setEventConditions(interactionEvents);
+            }
+            if (config.identifierMap) {
+                interactionEvents = mapEventIdentifiers(interactionEvents, getIdentifierMap(identifierMapRows));
+            }
+            if (isComparing()) {
+                comparison = compareConditions();
+            }
+        }
+
+        function isComparing() {
+            return config.comparison !== constants.comparison.NONE;
+        }
+
+        /**
+         * joins the rows of config.source and config.compareSource into one data set with the condition of each row in CONDITION_COLUMN
+         * the second condition's event IDs are prefixed with its name so they stay unique, rows keep their line numbers in their own file
+         * @returns {Array} the rows or null if config.source could not be loaded
+         */
+        function combineConditions(data, compareData) {
+            if (!data) {
+                return data;
+            }
+            let labels = getConditionLabels([]);
+            let rows = [];
+            rows.columns = data.columns ? data.columns.concat([CONDITION_COLUMN]) : undefined;
+            rows.rowNumbers = [];
+            rows.issues = [];
+            [data, compareData].forEach(function (dataset, condition) {
+                if (!dataset) {
+                    rows.issues.push({severity: constants.severity.FATAL, row: null, column: null, message: "No data was loaded from " + getSourceName(config.compareSource)});
+                    return;
+                }
+                rows.issues = rows.issues.concat(dataset.issues || []);
+                dataset.forEach(function (row, i) {
+                    let conditionRow = Object.assign({}, row);
+                    conditionRow[CONDITION_COLUMN] = labels[condition];
+                    if (condition === 1 && conditionRow[config.eventIdColumn]) {
+                        conditionRow[config.eventIdColumn] = labels[condition] + ":" + conditionRow[config.eventIdColumn];
+                    }
+                    rows.push(conditionRow);
+                    rows.rowNumbers.push(getRowNumber(dataset, i));
+                });
+            });
+            return rows;
+        }
+
+        /**
+         * @returns {Array} the names of the two conditions from config.conditionLabels, the first two values of config.conditionColumn or "A" and "B"
+         */
+        function getConditionLabels(rows) {
+            let labels = config.conditionLabels ? getProteinList(config.conditionLabels) : [];
+            if (!labels.length && config.conditionColumn) {
+                labels = d3.set(rows, function (row) {
+                    return getProteinName(row[config.conditionColumn]);
+                }).values().filter(Boolean);
+            }
+            return labels.length >= 2 ? labels.slice(0, 2) : ["A", "B"];
+        }
+
+        /**
+         * gives each event its condition in CONDITION_COLUMN, events from config.compareSource already have one
+         * with config.conditionColumn events whose value is neither condition are left out,
+         * with config.conditionSuffix the suffix is removed from protein names so the same protein in both conditions shares a track
+         * @returns {Array} copies of the events compared
+         */
+        function setEventConditions(events) {
+            if (config.compareSource) {
+                return events;
+            }
+            let conditionEvents = events.map(function (event) {
+                let conditionEvent = Object.assign({}, event);
+                let condition = 0;
+                if (config.conditionColumn) {
+                    condition = conditionLabels.indexOf(getProteinName(event[config.conditionColumn]));
+                } else {
+                    [config.proteinAColumn, config.proteinBColumn].forEach(function (column) {
+                        let protein = getProteinName(event[column]);
+                        if (protein.length > config.conditionSuffix.length && protein.slice(-config.conditionSuffix.length) === config.conditionSuffix) {
+                            conditionEvent[column] = protein.slice(0, -config.conditionSuffix.length);
+                            condition = 1;
+                        }
+                    });
+                }
+                conditionEvent[CONDITION_COLUMN] = conditionLabels[condition];
+                return condition < 0 ? null : conditionEvent;
+            });
+            let rows = conditionEvents.filter(Boolean);
+            rows.rowNumbers = conditionEvents.map(function (event, i) {
+                return getRowNumber(events, i);
+            }).filter(function (rowNumber, i) {
+                return conditionEvents[i];
+            });
+            return rows;
+        }
+
+        function getEventCondition(event) {
+            return event[CONDITION_COLUMN] === conditionLabels[1] ? 1 : 0;
+        }
+
+        /**
+         * @returns {Array} the COMPARISON_COLUMN values, an event is "In both" if the other condition has an event between the same proteins at the same time point,
+         * "Shifted" if it only has them at other time points, otherwise it is only in its own condition
+         */
+        function getComparisonStatuses() {
+            return ["In both", "Shifted"].concat(conditionLabels.map(function (label) {
+                return "Only in " + label;
+            }));
+        }
+
+        /**
+         * sets each event's COMPARISON_COLUMN and counts the events of each protein in each condition
+         * a shifted event's shift is the time from the first condition's nearest matching event to the second's
+         * @returns {object} {conditions, proteins: [{protein, interactionCounts, shared, shifted, unique, meanShift}]} most different proteins first
+         */
+        function compareConditions() {
+            let statuses = getComparisonStatuses();
+            let pairTimePoints = [Object.create(null), Object.create(null)];
+            let proteins = Object.create(null);
+            setOrdinalTimePoints();
+            interactionEvents.forEach(function (event) {
+                let timePoints = pairTimePoints[getEventCondition(event)];
+                let pair = getEventPair(event);
+                timePoints[pair] = (timePoints[pair] || []).concat([getEventTimePoint(event)]);
+            });
+            interactionEvents.forEach(function (event) {
+                let condition = getEventCondition(event),
+                    timePoint = getEventTimePoint(event);
+                let otherTimePoints = pairTimePoints[1 - condition][getEventPair(event)] || [];
+                let shift = null;
+                if (otherTimePoints.indexOf(timePoint) >= 0) {
+                    event[COMPARISON_COLUMN] = statuses[0];
+                } else if (otherTimePoints.length) {
+                    event[COMPARISON_COLUMN] = statuses[1];
+                    let nearest = otherTimePoints.reduce(function (a, b) {
+                        return Math.abs(b - timePoint) < Math.abs(a - timePoint) ? b : a;
+                    });
+                    shift = condition === 0 ? nearest - timePoint : timePoint - nearest;
+                } else {
+                    event[COMPARISON_COLUMN] = statuses[2 + condition];
+                }
+                [config.proteinAColumn, config.proteinBColumn].forEach(function (column) {
+                    let protein = getProteinName(event[column]);
+                    let summary = proteins[protein] = proteins[protein] ||
+                        {protein: protein, interactionCounts: [0, 0], shared: 0, shifted: 0, unique: [0, 0], shifts: []};
+                    summary.interactionCounts[condition]++;
+                    if (event[COMPARISON_COLUMN] === statuses[0]) {
+                        summary.shared++;
+                    } else if (event[COMPARISON_COLUMN] === statuses[1]) {
+                        summary.shifted++;
+                        summary.shifts.push(shift);
+                    } else {
+                        summary.unique[condition]++;
+                    }
+                });
+            });
+            return {
+                conditions: conditionLabels.slice(),
+                proteins: d3.values(proteins).map(function (summary) {
+                    summary.meanShift = summary.shifts.length ? d3.mean(summary.shifts) : null;
+                    delete summary.shifts;
+                    return summary;
+                }).sort(function (a, b) {
+                    return d3.descending(getDifferenceCount(a), getDifferenceCount(b)) || d3.ascending(a.protein, b.protein);
+                })
+            };
+        }
+
+        function getEventPair(event) {
+            return [getProteinName(event[config.proteinAColumn]), getProteinName(event[config.proteinBColumn])].sort().join("|");
+        }
+
+        function getDifferenceCount(summary) {
+            return summary.shifted + summary.unique[0] + summary.unique[1];
+        }
+
+        /**
+         * reads config.identifierMap into the protein names each identifier maps to, a protein is named by config.proteinLabel
+         * rows with only a symbol or only an accession take the other from rows of the same protein
+         * @returns {object} {[identifier]: [proteins]} identifiers with more than one protein are ambiguous
+         */
+        function getIdentifierMap(rows) {
+            let identifiers = Object.create(null);
+            if (!rows || !rows.length) {
+                addValidationIssue(constants.severity.FATAL, null, null, "No identifier map was loaded from " + getSourceName(config.identifierMap));
+                reportValidation();
+            }
+            let columns = rows.columns || d3.keys(rows[0]);
+            if (columns.indexOf(config.accessionColumn) < 0 && columns.indexOf(config.symbolColumn) < 0) {
+                addValidationIssue(constants.severity.FATAL, null, null,
+                    "Neither column " + config.accessionColumn + " nor " + config.symbolColumn + " was found in the identifier map");
+                reportValidation();
+            }
+            let entries = rows.map(function (row) {
+                return {
+                    identifier: getProteinName(row[config.identifierColumn]),
+                    accession: getProteinName(row[config.accessionColumn]),
+                    symbol: getProteinName(row[config.symbolColumn])
+                };
+            }).filter(function (entry) {
+                return entry.accession || entry.symbol;
+            });
+            let symbolAccessions = Object.create(null),
+                accessionSymbols = Object.create(null);
+            entries.forEach(function (entry) {
+                if (entry.accession && entry.symbol) {
+                    (symbolAccessions[entry.symbol] = symbolAccessions[entry.symbol] || d3.set()).add(entry.accession);
+                    (accessionSymbols[entry.accession] = accessionSymbols[entry.accession] || d3.set()).add(entry.symbol);
+                }
+            });
+            entries.forEach(function (entry) {
+                entry.accession = entry.accession || getOnlyValue(symbolAccessions[entry.symbol]);
+                entry.symbol = entry.symbol || getOnlyValue(accessionSymbols[entry.accession]);
+                let protein = getMappedProteinName(entry, symbolAccessions[entry.symbol] && symbolAccessions[entry.symbol].size() > 1);
+                [entry.identifier, entry.accession, entry.symbol].filter(Boolean).forEach(function (identifier) {
+                    identifiers[identifier] = identifiers[identifier] || [];
+                    if (identifiers[identifier].indexOf(protein) < 0) {
+                        identifiers[identifier].push(protein);
+                    }
+                });
+            });
+            return identifiers;
+        }
+
+        function getOnlyValue(set) {
+            return set && set.size() === 1 ? set.values()[0] : "";
+        }
+
+        function getMappedProteinName(entry, isSharedSymbol) {
+            let both = entry.symbol && entry.accession ? entry.symbol + " (" + entry.accession + ")" : entry.symbol || entry.accession;
+            if (config.proteinLabel === constants.proteinLabel.BOTH || (config.proteinLabel === constants.proteinLabel.SYMBOL && isSharedSymbol)) {
+                return both;
+            }
+            if (config.proteinLabel === constants.proteinLabel.ACCESSION) {
+                return entry.accession || entry.symbol;
+            }
+            return entry.symbol || entry.accession;
+        }
+
+        /**
+         * replaces each protein with the one it maps to and lists the identifiers that could not be mapped in the validation report
+         * @returns {Array} copies of the events with their proteins mapped
+         */
+        function mapEventIdentifiers(events, identifiers) {
+            let eventCounts = Object.create(null);
+            let mappedEvents = events.map(function (event) {
+                let mappedEvent = Object.assign({}, event);
+                [config.proteinAColumn, config.proteinBColumn].forEach(function (column) {
+                    let identifier = getProteinName(event[column]);
+                    let proteins = identifiers[identifier];
+                    eventCounts[identifier] = (eventCounts[identifier] || 0) + 1;
+                    if (proteins && proteins.length === 1) {
+                        mappedEvent[column] = proteins[0];
+                    }
+                });
+                return mappedEvent;
+            });
+            mappedEvents.rowNumbers = events.map(function (event, i) {
+                return getRowNumber(events, i);
+            });
+            identifierMapping = {mapped: [], unmapped: [], ambiguous: []};
+            Object.keys(eventCounts).sort().forEach(function (identifier) {
+                let proteins = identifiers[identifier];
+                if (!proteins) {
+                    identifierMapping.unmapped.push(identifier);
+                    addValidationIssue(constants.severity.WARNING, null, null,
+                        "Identifier " + identifier + " in " + eventCounts[identifier] + " event(s) is not in the identifier map");
+                } else if (proteins.length > 1) {
+                    identifierMapping.ambiguous.push({identifier: identifier, proteins: proteins.slice()});
+                    addValidationIssue(constants.severity.WARNING, null, null,
+                        "Identifier " + identifier + " in " + eventCounts[identifier] + " event(s) maps to " + proteins.join(", ") + " so is left as it is");
+                } else if (proteins[0] !== identifier) {
+                    identifierMapping.mapped.push({identifier: identifier, protein: proteins[0]});
+                }
+            });
+            validateMappedEvents(events, mappedEvents);
+            reportValidation();
+            return mappedEvents;
+        }
+
+        /**
+         * warns about self interactions and repeated events that only appear once identifiers are mapped, eg CDC2 with CDK1 when both map to CDK1
+         * an event is repeated if an earlier row had other identifiers for the same proteins at the same time point with the same type and condition
+         */
+        function validateMappedEvents(events, mappedEvents) {
+            let firstEvents = Object.create(null);
+            mappedEvents.forEach(function (mappedEvent, i) {
+                let row = getRowNumber(mappedEvents, i);
+                let proteinA = getProteinName(mappedEvent[config.proteinAColumn]),
+                    proteinB = getProteinName(mappedEvent[config.proteinBColumn]);
+                if (proteinA === proteinB && getProteinName(events[i][config.proteinAColumn]) !== getProteinName(events[i][config.proteinBColumn])) {
+                    addValidationIssue(constants.severity.WARNING, row, config.proteinBColumn,
+                        "Self interaction of " + proteinA + " once " + events[i][config.proteinAColumn] + " and " + events[i][config.proteinBColumn] + " are mapped");
+                }
+                let key = getEventKey(mappedEvent);
+                let originalKey = getEventKey(events[i]);
+                if (!(key in firstEvents)) {
+                    firstEvents[key] = {row: row, originalKey: originalKey};
+                } else if (firstEvents[key].originalKey !== originalKey) {
+                    addValidationIssue(constants.severity.WARNING, row, null,
+                        "Event between " + proteinA + " and " + proteinB + " at " + config.timePointColumn + " " + mappedEvent[config.timePointColumn] +
+                        " repeats row " + firstEvents[key].row + " once identifiers are mapped");
+                }
+            });
+        }
+
+        function getEventKey(event) {
+            return [
+                [getProteinName(event[config.proteinAColumn]), getProteinName(event[config.proteinBColumn])].sort().join("\t"),
+                getProteinName(event[config.timePointColumn]),
+                getEventType(event),
+                event[CONDITION_COLUMN]
+            ].join("\t");
+        }
+
+        function notifyDataLoaded() {
+            lifecycle.call("dataLoaded", chart, interactionEvents, validationReport);
+        }
+
+        function notifyTracksBuilt() {
+            lifecycle.call("tracksBuilt", chart, tracks);
+        }
+
+        function notifyRendered() {
+            let result = {tracks: tracks, settings: settings};
+            lifecycle.call("rendered", chart, result);
+            return result;
+        }
+
+        function notifyTrackClick(trackNumber, interaction) {
+            lifecycle.call("trackClick", chart, tracks[trackNumber], trackNumber, interaction);
+        }
+
+        /**
+         * generates span settings by looking at the eventData to get order extent for x and then processing the eventData to calculate tracks for y
+         * note that the y span uses the length of the array rather than the maximum index to include room for the timeAxis
+         */
+
+        function getTimePointSpan() {        
+            let minTimePoint = d3.min(tracks, function (d) {
+                return d3.min(d.interactions, function (d) {
+                    return d.timePoint;
+                });
+            });        
+            let maxTimePoint = d3.max(tracks, function (d) {
+                return d3.max(d.interactions, function (d) {
+                    return d.timePoint;
+                });
+            });
+            return [minTimePoint, maxTimePoint];
+        }
+
+        function getTrackSpan() {
+            return [0, tracks.length];
+        }
+
+        /**
+         * buildTrackCounts is the meat of the module
+         * each interaction is processed to record each protein (protein A and B) involved
+         * and the protein it interacted with (protein B against A and A against B)(interaction.protein)
+         * and to increment the number of events each protein is involved in (trackCounts)
+         * every row is kept as its own event (identified by config.eventIdColumn) so repeated interactions
+         * between the same two proteins are all recorded unless config.repeatedInteractions is set to first/last contact only
+         * a self interaction is recorded once on its protein's track
+         * any tracks with with less than config.minimumInteractionCount interactions are removed
+         */
+        function buildTrackCounts() {
+            setOrdinalTimePoints();
+            interactionEvents.sort(function (a, b) {
+                return getEventTimePoint(a) - getEventTimePoint(b);
+            });
+            for (let i = 0, eventCount = interactionEvents.length; i < eventCount; i++) {
+                let event = interactionEvents[i];
+                if (!isEventIncluded(event)) {
+                    continue;
+                }
+                let proteinA = event[config.proteinAColumn];
+                let proteinB = event[config.proteinBColumn];
+                let timePoint = getEventTimePoint(event);
+                let id = getEventId(event, i);
+                let type = getEventType(event);
+                addTrackCount(proteinA, proteinB, timePoint, id, type, event);
+                if (proteinB !== proteinA) {
+                    addTrackCount(proteinB, proteinA, timePoint, id, type === constants.eventType.DEGRADE ? constants.eventType.UNBIND : type, event);
+                }
+                if (type === constants.eventType.DEGRADE && !(proteinA in proteinDegradations)) {
+                    proteinDegradations[proteinA] = timePoint;
+                }
+            }
+
+            if (config.repeatedInteractions === constants.repeatedInteractions.FIRST_LAST) {
+                for (let protein in trackCounts) {
+                    keepFirstAndLastInteractions(protein);
+                }
+            }
+            if (config.removeDuplicateInteractions === "true") {
+                removeDuplicateInteractions();
+            }
+            for (let protein in trackCounts) {
+                removeSmallerTrackCounts(protein);
+            }
+        }
+
+        /**
+         * generates span settings by looking at the eventData to get order extent for x and then processing the eventData to calculate tracks for y
+         * note that the y span uses the length of the array rather than the maximum index to include room for the timeAxis
+         */
+        function convertInteractionEventsToTracks() {
+            buildTrackCounts();
+            buildComplexes();
+            getTracks();
+            buildEncodings();
+        }
+
+        /**
+         * time points are held as numbers so they can be sorted and compared whatever config.timeType is
+         * "numeric" values are used as they are, "date" values become milliseconds since 1970 and "ordinal" values their position (from 1) in ordinalTimePoints
+         */
+        function getEventTimePoint(event) {
+            return parseTimePoint(event[config.timePointColumn]);
+        }
+
+        function parseTimePoint(value) {
+            if (value === "" || value === null || value === undefined) {
+                return NaN;
+            }
+            if (config.timeType === constants.timeType.DATE) {
+                let date = value instanceof Date ? value : (config.timeFormat ? d3.timeParse(config.timeFormat) : d3.isoParse)(value);
+                return date ? date.getTime() : NaN;
+            } else if (config.timeType === constants.timeType.ORDINAL) {
+                let position = ordinalTimePoints.indexOf(String(value));
+                return position < 0 ? NaN : position + 1;
+            }
+            return +value;
+        }
+
+        function formatTimePoint(timePoint) {
+            if (config.timeType === constants.timeType.DATE) {
+                return (config.timeTickFormat ? d3.timeFormat(config.timeTickFormat) : d3.isoFormat)(new Date(timePoint));
+            } else if (config.timeType === constants.timeType.ORDINAL) {
+                return ordinalTimePoints[timePoint - 1];
+            }
+            return config.timeTickFormat ? d3.format(config.timeTickFormat)(timePoint) : String(timePoint);
+        }
+
+        /**
+         * ordinal time points are numerically ordered if every value is a number otherwise they are ordered as they first appear in the data
+         */
+        function setOrdinalTimePoints() {
+            let values = d3.set(interactionEvents, function (event) {
+                return event[config.timePointColumn];
+            }).values();
+            let allNumeric = values.every(function (value) {
+                return value !== "" && !isNaN(+value);
+            });
+            ordinalTimePoints = allNumeric ?
+                values.sort(function (a, b) {
+                    return a - b;
+                }) :
+                values;
+        }
+
+        /**
+         * rows without a value in config.eventIdColumn are identified by their position in the time ordered events
+         */
+        function getEventId(event, eventIndex) {
+            let id = event[config.eventIdColumn];
+            return id ? id : "row" + (eventIndex + 1);
+        }
+
+        /**
+         * rows are "bind" events unless config.eventTypeColumn is set and holds another constants.eventType value
+         */
+        function getEventType(event) {
+            let type = config.eventTypeColumn ? (event[config.eventTypeColumn] || "").trim().toLowerCase() : "";
+            return type ? type : constants.eventType.BIND;
+        }
+
+        function addTrackCount(p1, p2, timePoint, id, type, event) {
+            if (trackCounts[p1]) {
+                trackCounts[p1].trackCount++;
+            } else {
+                trackCounts[p1] = {trackCount: 1, interactions: Object.create(null)};
+            }
+            if (!trackCounts[p1].interactions[p2]) {
+                trackCounts[p1].interactions[p2] = [];
+            }
+            trackCounts[p1].interactions[p2].push({id: id, timePoint: timePoint, type: type, data: event});
+        }
+
+        /**
+         * events arrive in time order so the first and last entries for each partner are the first and last contacts
+         */
+        function keepFirstAndLastInteractions(protein) {
+            let interactions = trackCounts[protein].interactions;
+            for (let partner in interactions) {
+                let partnerEvents = interactions[partner];
+                if (partnerEvents.length > 2) {
+                    trackCounts[protein].trackCount -= partnerEvents.length - 2;
+                    interactions[partner] = [partnerEvents[0], partnerEvents[partnerEvents.length - 1]];
+                }
+            }
+        }
+
+        function removeSmallerTrackCounts(protein) {
+            if (trackCounts[protein].trackCount < config.minimumInteractionCount) {
+                delete trackCounts[protein];
+            }
+        }
+
+        function removeDuplicateInteractions() {
+            for (let proteinA in trackCounts) {
+                for (let proteinB in trackCounts[proteinA].interactions) {
+                    if (proteinB in trackCounts) {
+                        removeDuplicateInteraction(proteinA, proteinB);
+                    }
+                }
+            }
+        }
+
+        function removeDuplicateInteraction(proteinA, proteinB) {
+            if (trackCounts[proteinA].trackCount < trackCounts[proteinB].trackCount) {
+                trackCounts[proteinA].trackCount -= trackCounts[proteinA].interactions[proteinB].length;
+                delete trackCounts[proteinA].interactions[proteinB];
+            }
+        }
+
+        function getTracks() {
+            for (let protein in trackCounts) {
+                if (!isProteinShown(protein)) {
+                    continue;
+                }
+                let interactions = getTrackInteractions(trackCounts[protein].interactions);
+                tracks.push({
+                    protein: protein,
+                    interactions: interactions,
+                    boundIntervals: getBoundIntervals(interactions),
+                    complex: getRootComplex(proteinComplexes[protein]).id,
+                    founderComplex: proteinFounderComplexes[protein].id
+                });
+            }
+            orderTracks();
+        }
+
+        function orderTracks() {
+            let trackOrder = config.trackOrder;
+            if (typeof trackOrder === "function") {
+                tracks.sort(trackOrder);
+            } else if (isTrackOrderList(trackOrder)) {
+                tracks.sort(getListedTrackComparator(getProteinList(trackOrder)));
+            } else if (trackOrder === constants.trackOrder.FIRST_APPEARANCE) {
+                tracks.sort(compareTracksByFirstAppearance);
+            } else if (trackOrder === constants.trackOrder.ALPHABETICAL) {
+                tracks.sort(function (a, b) {
+                    return d3.ascending(a.protein, b.protein);
+                });
+            } else if (trackOrder === constants.trackOrder.COMPLEX) {
+                tracks.sort(compareTracksByComplex);
+            } else if (trackOrder === constants.trackOrder.OPTIMISED) {
+                tracks.sort(compareTracksByCount);
+                tracks = getOptimisedTrackOrder(tracks);
+            } else {
+                tracks.sort(compareTracksByCount);
+            }
+        }
+
+        function compareTracksByCount(a, b) {
+            return b.interactions.length - a.interactions.length;
+        }
+
+        function compareTracksByFirstAppearance(a, b) {
+            return getFirstTimePoint(a) - getFirstTimePoint(b) || compareTracksByCount(a, b);
+        }
+
+        function getFirstTimePoint(track) {
+            return d3.min(track.interactions, function (d) {
+                return d.timePoint;
+            });
+        }
+
+        /**
+         * complexes are ordered by when they formed and their tracks by first appearance within them
+         */
+        function compareTracksByComplex(a, b) {
+            return complexesById[a.founderComplex].formedAt - complexesById[b.founderComplex].formedAt ||
+                a.founderComplex - b.founderComplex ||
+                compareTracksByFirstAppearance(a, b);
+        }
+
+        function getListedTrackComparator(proteins) {
+            return function (a, b) {
+                let positionA = proteins.indexOf(a.protein);
+                let positionB = proteins.indexOf(b.protein);
+                if (positionA < 0 || positionB < 0) {
+                    return (positionA < 0) - (positionB < 0) || compareTracksByCount(a, b);
+                }
+                return positionA - positionB;
+            };
+        }
+
+        /**
+         * the optimised order is built by chaining tracks, starting with the busiest one and repeatedly adding the track with the most interactions
+         * with the track at either end of the chain, then adjacent tracks are swapped while that shortens the total distance between interacting tracks
+         * (the number of interactions between two tracks times the number of tracks between them)
+         */
+        function getOptimisedTrackOrder(countOrderedTracks) {
+            let weights = getTrackInteractionWeights(countOrderedTracks);
+            let remaining = countOrderedTracks.map(function (track, i) {
+                return i;
+            });
+            let order = remaining.length ? [remaining.shift()] : [];
+            while (remaining.length) {
+                let best = {position: 0, weight: -1, atStart: false};
+                remaining.forEach(function (trackIndex, position) {
+                    let startWeight = weights[trackIndex][order[0]];
+                    let endWeight = weights[trackIndex][order[order.length - 1]];
+                    if (Math.max(startWeight, endWeight) > best.weight) {
+                        best = {position: position, weight: Math.max(startWeight, endWeight), atStart: startWeight > endWeight};
+                    }
+                });
+                let trackIndex = remaining.splice(best.position, 1)[0];
+                if (best.atStart) {
+                    order.unshift(trackIndex);
+                } else {
+                    order.push(trackIndex);
+                }
+            }
+            improveTrackOrderBySwaps(order, weights);
+            return order.map(function (trackIndex) {
+                return countOrderedTracks[trackIndex];
+            });
+        }
+
+        function improveTrackOrderBySwaps(order, weights) {
+            let cost = getTrackOrderCost(order, weights);
+            for (let pass = 0, improved = true; improved && pass < order.length; pass++) {
+                improved = false;
+                for (let i = 0; i < order.length - 1; i++) {
+                    swapTracks(order, i);
+                    let swappedCost = getTrackOrderCost(order, weights);
+                    if (swappedCost < cost) {
+                        cost = swappedCost;
+                        improved = true;
+                    } else {
+                        swapTracks(order, i);
+                    }
+                }
+            }
+        }
+
+        function swapTracks(order, i) {
+            let trackIndex = order[i];
+            order[i] = order[i + 1];
+            order[i + 1] = trackIndex;
+        }
+
+        function getTrackOrderCost(order, weights) {
+            let cost = 0;
+            for (let i = 0; i < order.length; i++) {
+                for (let j = i + 1; j < order.length; j++) {
+                    cost += weights[order[i]][order[j]] * (j - i);
+                }
+            }
+            return cost;
+        }
+
+        /**
+         * @returns {Array} weights[i][j] the number of interactions between tracks i and j
+         */
+        function getTrackInteractionWeights(trackList) {
+            let trackIndexes = Object.create(null);
+            trackList.forEach(function (track, i) {
+                trackIndexes[track.protein] = i;
+            });
+            return trackList.map(function (track) {
+                let trackWeights = trackList.map(function () {
+                    return 0;
+                });
+                track.interactions.forEach(function (interaction) {
+                    if (interaction.protein in trackIndexes) {
+                        trackWeights[trackIndexes[interaction.protein]]++;
+                    }
+                });
+                return trackWeights;
+            });
+        }
+
+        /**
+         * @returns {Array} the track's interactions with all of its partners in time order, events at the same time point in id order
+         */
+        function getTrackInteractions(interactions) {
+            let trackInteractions = [];
+            for (let interaction in interactions) {
+                interactions[interaction].forEach(function (partnerEvent) {
+                    trackInteractions.push({
+                        protein: interaction,
+                        timePoint: partnerEvent.timePoint,
+                        id: partnerEvent.id,
+                        type: partnerEvent.type,
+                        data: partnerEvent.data
+                    });
+                });
+            }
+            return trackInteractions.sort(function (a, b) {
+                return a.timePoint - b.timePoint || d3.ascending(a.id, b.id);
+            });
+        }
+
+        /**
+         * works out the intervals a track's protein is bound to each partner
+         * a "bind" opens an interval, an "unbind" closes it and a "degrade" closes all open intervals
+         * an interval with a partner that is degraded (in any event, as its Protein A) closes when the partner is degraded
+         * intervals still open after the last event end at the track's last time point
+         * @returns {Array} [{protein, start, end, data}] in the order they were opened, data is the row of the event that opened the interval
+         */
+        function getBoundIntervals(interactions) {
+            let boundIntervals = [],
+                openIntervals = Object.create(null);
+            let lastTimePoint = d3.max(interactions, function (d) {
+                return d.timePoint;
+            });
+            let partnerDegradations = d3.set(interactions, function (d) {
+                return d.protein;
+            }).values()
+                .filter(function (protein) {
+                    return proteinDegradations[protein] <= lastTimePoint;
+                })
+                .map(function (protein) {
+                    return {protein: protein, timePoint: proteinDegradations[protein], type: constants.eventType.UNBIND};
+                });
+            interactions.concat(partnerDegradations)
+                .sort(function (a, b) {
+                    return a.timePoint - b.timePoint;
+                })
+                .forEach(function (interaction) {
+                    if (interaction.type === constants.eventType.BIND) {
+                        if (!openIntervals[interaction.protein]) {
+                            openIntervals[interaction.protein] = {
+                                protein: interaction.protein,
+                                start: interaction.timePoint,
+                                end: null,
+                                data: interaction.data
+                            };
+                            boundIntervals.push(openIntervals[interaction.protein]);
+                        }
+                    } else if (interaction.type === constants.eventType.UNBIND) {
+                        closeInterval(interaction.protein, interaction.timePoint);
+                    } else if (interaction.type === constants.eventType.DEGRADE) {
+                        for (let protein in openIntervals) {
+                            closeInterval(protein, interaction.timePoint);
+                        }
+                    }
+                });
+            for (let protein in openIntervals) {
+                closeInterval(protein, lastTimePoint);
+            }
+            return boundIntervals;
+
+            function closeInterval(protein, timePoint) {
+                if (openIntervals[protein]) {
+                    openIntervals[protein].end = timePoint;
+                    delete openIntervals[protein];
+                }
+            }
+        }
+
+        /**
+         * splits a track's span into the segments where its protein is bound to at least one partner and the segments where it is free
+         * @returns {Array} [{start, end, bound, data}] in time order, bound segments have the data of the event that started them
+         */
+        function getTrackSegments(track) {
+            let segments = [];
+            let intervals = track.boundIntervals.slice().sort(function (a, b) {
+                return a.start - b.start;
+            });
+            let trackStart = d3.min(track.interactions, function (d) {
+                    return d.timePoint;
+                }),
+                trackEnd = d3.max(track.interactions, function (d) {
+                    return d.timePoint;
+                });
+            let position = trackStart;
+            intervals.forEach(function (interval) {
+                let lastSegment = segments[segments.length - 1];
+                if (lastSegment && lastSegment.bound && interval.start <= lastSegment.end) {
+                    lastSegment.end = Math.max(lastSegment.end, interval.end);
+                } else {
+                    if (interval.start > position) {
+                        segments.push({start: position, end: interval.start, bound: false});
+                    }
+                    segments.push({start: interval.start, end: interval.end, bound: true, data: interval.data});
+                }
+                position = Math.max(position, interval.end);
+            });
+            if (position < trackEnd) {
+                segments.push({start: position, end: trackEnd, bound: false});
+            }
+            return segments;
+        }
+
+        /**
+         * buildComplexes walks the time ordered events merging the proteins involved into connected complexes
+         * a complex is formed when two free proteins interact, a free protein joins a complex when it interacts with a member
+         * and when members of two different complexes interact a new complex is formed from both (recorded as a merge)
+         * so complexes with a mergedInto value make up the branches of an assembly tree whose roots are the final complexes
+         * each protein's founder complex is the first complex it belonged to (a leaf of the assembly tree)
+         * all loaded events not left out by the filters are used, tracks removed by config.minimumInteractionCount or hidden by the filters still contribute to complex membership
+         * complexes record assembly so only "bind" events are used, dissociation does not split a complex
+         * proteins that are never bound (only in "unbind" or "degrade" events) are each a complex of their own formed at their first event
+         */
+        function buildComplexes() {
+            let unboundProteins = [];
+            for (let i = 0, eventCount = interactionEvents.length; i < eventCount; i++) {
+                let event = interactionEvents[i];
+                if (!isEventIncluded(event)) {
+                    continue;
+                }
+                if (getEventType(event) !== constants.eventType.BIND) {
+                    unboundProteins.push([event[config.proteinAColumn], getEventTimePoint(event)], [event[config.proteinBColumn], getEventTimePoint(event)]);
+                    continue;
+                }
+                addComplexEvent(
+                    event[config.proteinAColumn],
+                    event[config.proteinBColumn],
+                    getEventTimePoint(event),
+                    getEventId(event, i)
+                );
+            }
+            unboundProteins.forEach(function (unboundProtein) {
+                if (!proteinComplexes[unboundProtein[0]]) {
+                    addComplex([unboundProtein[0]], unboundProtein[1], []);
+                }
+            });
+        }
+
+        function addComplexEvent(proteinA, proteinB, timePoint, eventId) {
+            let complexA = proteinComplexes[proteinA],
+                complexB = proteinComplexes[proteinB];
+            if (!complexA && !complexB) {
+                let complex = addComplex(proteinA === proteinB ? [proteinA] : [proteinA, proteinB], timePoint, []);
+                addComplexTimelineEvent("form", complex, timePoint, eventId, [proteinA, proteinB], []);
+            } else if (!complexA || !complexB) {
+                let complex = complexA || complexB;
+                let protein = complexA ? proteinB : proteinA;
+                complex.proteins.push(protein);
+                proteinComplexes[protein] = complex;
+                proteinFounderComplexes[protein] = complex;
+                addComplexTimelineEvent("join", complex, timePoint, eventId, [proteinA, proteinB], []);
+            } else if (complexA !== complexB) {
+                let complex = addComplex(complexA.proteins.concat(complexB.proteins), timePoint, [complexA.id, complexB.id]);
+                complexA.mergedInto = complexB.mergedInto = complex.id;
+                complexA.mergedAt = complexB.mergedAt = timePoint;
+                addComplexTimelineEvent("merge", complex, timePoint, eventId, [proteinA, proteinB], complex.mergedFrom);
+            }
+        }
+
+        function addComplex(proteins, timePoint, mergedFrom) {
+            let complex = {
+                id: "C" + (complexes.length + 1),
+                proteins: proteins,
+                formedAt: timePoint,
+                mergedFrom: mergedFrom,
+                mergedInto: null,
+                mergedAt: null
+            };
+            complexes.push(complex);
+            complexesById[complex.id] = complex;
+            proteins.forEach(function (protein) {
+                proteinComplexes[protein] = complex;
+                if (!proteinFounderComplexes[protein]) {
+                    proteinFounderComplexes[protein] = complex;
+                }
+            });
+            return complex;
+        }
+
+        function addComplexTimelineEvent(type, complex, timePoint, eventId, proteins, mergedFrom) {
+            complexTimeline.push({
+                type: type,
+                timePoint: timePoint,
+                eventId: eventId,
+                complex: complex.id,
+                proteins: proteins,
+                mergedFrom: mergedFrom
+            });
+        }
+
+        function getRootComplex(complex) {
+            while (complex.mergedInto) {
+                complex = complexesById[complex.mergedInto];
+            }
+            return complex;
+        }
+
+        /**
+         * each track is a group keyed by its protein and placed at the track's y position so refiltering can move, add and remove whole tracks
+         * @param {object} [transition] if given tracks move to their new positions, fade in and fade out over it
+         */
+        function drawTracks(transition) {
+            if (isDrawingTrackCanvas()) {
+                drawTrackCanvas();
+                return;
+            }
+            let trackGroups = trackArea.selectAll(".trackGroup")
+                .data(tracks, getTrackProtein);
+            trackGroups.exit()
+                .call(releaseTrackGroups)
+                .call(fadeOutAndRemove, transition);
+            (transition ? trackGroups.transition(transition) : trackGroups)
+                .attr("transform", getTrackTransform);
+            trackGroups.enter()
+                .append("g")
+                .classed("trackGroup", true)
+                .attr("transform", getTrackTransform)
+                .call(fadeIn, transition)
+                .merge(trackGroups)
+                .order()
+                .attr("role", "group")
+                .attr("aria-label", getTrackDescription)
+                .each(drawTrack);
+            layoutInteractionLabels(transition);
+        }
+
+        function getTrackProtein(track) {
+            return track.protein;
+        }
+
+        function getTrackTransform(track, trackNumber) {
+            return "translate(0," + yScale(tracks.length - trackNumber) + ")";
+        }
+
+        /**
+         * exiting tracks keep their elements while they fade out so their track number classes are removed to keep them from being selected as the new tracks
+         */
+        function releaseTrackGroups(trackGroups) {
+            trackGroups.classed("trackGroup", false)
+                .selectAll("*")
+                .attr("class", function () {
+                    return this.getAttribute("class").replace(/\btrack\d+\b/g, "");
+                });
+        }
+
+        function fadeIn(selection, transition) {
+            if (transition) {
+                selection.attr("opacity", 0)
+                    .transition(transition)
+                    .attr("opacity", 1)
+                    .on("end", function () {
+                        d3.select(this).attr("opacity", null);
+                    });
+            }
+        }
+
+        function fadeOutAndRemove(selection, transition) {
+            if (transition) {
+                selection.transition(transition)
+                    .attr("opacity", 0)
+                    .remove();
+            } else {
+                selection.remove();
+            }
+        }
+
+        /**
+         * draws a track's label, paths, interaction points and labels into its group, elements are kept and updated when the track is redrawn
+         */
+        function drawTrack(track, trackNumber) {
+            let trackGroup = d3.select(this);
+            addTrackLabel(trackGroup, trackNumber);
+            addTrackPath(trackGroup, trackNumber);
+            addTrackInteractionPoints(trackGroup, trackNumber);
+            addTrackInteractionLabels(trackGroup, trackNumber);
+            if (getEncoding("color")) {
+                colorTrackByColumn(trackNumber);
+            } else if (config.showComplexes === "true") {
+                colorTrackByComplex(trackNumber);
+            }
+        }
+
+        /**
+         * the config.colorColumn value of each event colors its interaction point
+         * and bound track segments take the color of the event that started them
+         */
+        function colorTrackByColumn(trackNumber) {
+            graphArea.selectAll(".interactionPath.track" + trackNumber)
+                .style("stroke", function (d) {
+                    return getEncodedValue("color", d[0].data);
+                });
+            graphArea.selectAll(".interactionPoint.track" + trackNumber)
+                .style("stroke", function (d) {
+                    return getEncodedValue("color", d.data);
+                })
+                .filter(function (d) {
+                    return !isDissociation(d);
+                })
+                .style("fill", function (d) {
+                    return getEncodedValue("color", d.data);
+                });
+        }
+
+        function colorTrackByComplex(trackNumber) {
+            let color = complexColor(tracks[trackNumber].founderComplex);
+            graphArea.selectAll(".interactionPath.track" + trackNumber + ", .freePath.track" + trackNumber)
+                .style("stroke", color);
+            graphArea.selectAll(".interactionPoint.track" + trackNumber)
+                .style("stroke", color)
+                .filter(function (d) {
+                    return !isDissociation(d);
+                })
+                .style("fill", color);
+        }
+
+        /**
+         * draws a connector at the time point two complexes merge between the tracks of the interacting proteins
+         * if either protein has no track, the first displayed track of its complex is used instead
+         */
+        function drawComplexMerges(transition) {
+            if (config.showComplexes !== "true" || isDrawingTrackCanvas()) {
+                return;
+            }
+            let complexMerges = complexMergeArea.selectAll(".complexMerge")
+                .data(complexTimeline
+                    .filter(function (complexEvent) {
+                        return complexEvent.type === "merge";
+                    })
+                    .map(getComplexMergePoints)
+                    .filter(Boolean), function (d) {
+                    return d.mergeEvent.eventId + "|" + d.mergeEvent.timePoint;
+                });
+            complexMerges.exit()
+                .call(fadeOutAndRemove, transition);
+            complexMerges.enter()
+                .append("path")
+                .attr("d", drawTrackLine)
+                .attr("style", "stroke-width: " + settings.interactionPointRadius / 2 + "px;")
+                .classed("complexMerge", true)
+                .call(fadeIn, transition);
+        }
+
+        /**
+         * @returns {Array} the connector's two points holding the merge event as mergeEvent or null if either complex has no track
+         */
+        function getComplexMergePoints(mergeEvent) {
+            let trackNumbers = mergeEvent.mergedFrom.map(function (complexId, i) {
+                return getComplexTrackNumber(complexesById[complexId], mergeEvent.proteins[i]);
+            });
+            if (trackNumbers[0] < 0 || trackNumbers[1] < 0) {
+                return null;
+            }
+            let mergePoints = trackNumbers.map(function (trackNumber) {
+                return {x: mergeEvent.timePoint, y: tracks.length - trackNumber};
+            });
+            mergePoints.mergeEvent = mergeEvent;
+            return mergePoints;
+        }
+
+        function getComplexTrackNumber(complex, protein) {
+            let trackNumber = getTrackNumber(protein);
+            for (let i = 0; trackNumber < 0 && i < complex.proteins.length; i++) {
+                trackNumber = getTrackNumber(complex.proteins[i]);
+            }
+            return trackNumber;
+        }
+
+        function getTrackNumber(protein) {
+            for (let trackNumber = 0, trackCount = tracks.length; trackNumber < trackCount; trackNumber++) {
+                if (tracks[trackNumber].protein === protein) {
+                    return trackNumber;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * the canvas renderer draws the tracks into a canvas in a foreignObject covering the graph and its left and top margins
+         * so it sits in the SVG's layout with the time axis, legend and brush, which stay SVG, and zoom events still reach graphArea
+         */
+        function setupTrackCanvas() {
+            let ratio = window.devicePixelRatio || 1;
+            let width = settings.outerWidth,
+                height = settings.margin.top + settings.innerHeight;
+            trackCanvas = graphArea.append("foreignObject")
+                .classed("trackCanvas", true)
+                .attr("x", -settings.margin.left)
+                .attr("y", -settings.margin.top)
+                .attr("width", width)
+                .attr("height", height)
+                .append("xhtml:canvas")
+                .attr("width", width * ratio)
+                .attr("height", height * ratio)
+                .style("display", "block")
+                .style("width", width + "px")
+                .style("height", height + "px")
+                .on("mousemove", trackCanvasMouseMoved)
+                .on("mouseout", trackCanvasMouseOut)
+                .on("click", trackCanvasClicked);
+            canvasStyles = getCanvasStyles();
+            canvasTextWidths = Object.create(null);
+        }
+
+        /**
+         * exported files are SVG so the canvas renderer's tracks are drawn as SVG while the chart is exported
+         */
+        function isDrawingTrackCanvas() {
+            return trackCanvas !== null && !isDrawingSVGTracks;
+        }
+
+        function drawSVGTracks() {
+            isDrawingSVGTracks = true;
+            drawComplexMerges();
+            drawTracks();
+            drawTimePositions();
+            if (highlightedTrack) {
+                classHighlightedTracks();
+            }
+            if (selectedInteraction) {
+                selectInteractionPoint(selectedInteraction.trackNumber, selectedInteraction.interaction.id);
+                selectInteractionPoint(getTrackNumber(selectedInteraction.interaction.protein), selectedInteraction.interaction.id);
+            }
+            isDrawingSVGTracks = false;
+        }
+
+        function removeSVGTracks() {
+            complexMergeArea.selectAll("*").remove();
+            trackArea.selectAll("*").remove();
+        }
+
+        /**
+         * reads the paint, dashes, opacity and font the page's CSS gives each kind of track element from hidden SVG elements
+         * so the canvas looks the same as the SVG renderer, SVG defaults are used for anything the CSS does not set
+         */
+        function getCanvasStyles() {
+            let probeArea = graphArea.append("g")
+                .style("visibility", "hidden");
+            let styles = {
+                interactionPath: getCanvasStyle("path", "interactionPath", LABEL_FONT_SCALE),
+                freePath: getCanvasStyle("path", "freePath", LABEL_FONT_SCALE),
+                complexMerge: getCanvasStyle("path", "complexMerge", LABEL_FONT_SCALE),
+                interactionPoint: getCanvasStyle("circle", "interactionPoint", LABEL_FONT_SCALE),
+                dissociationPoint: getCanvasStyle("circle", "interactionPoint dissociationPoint", LABEL_FONT_SCALE),
+                degradationPoint: getCanvasStyle("circle", "interactionPoint dissociationPoint degradationPoint", LABEL_FONT_SCALE),
+                selectedPoint: getCanvasStyle("circle", "interactionPoint selected", LABEL_FONT_SCALE),
+                trackLabel: getCanvasStyle("text", "trackLabel", TRACK_LABEL_FONT_SCALE),
+                highlightedTrackLabel: getCanvasStyle("text", "trackLabel highlighted", TRACK_LABEL_FONT_SCALE),
+                interactionLabel: getCanvasStyle("text", "interactionLabel", LABEL_FONT_SCALE),
+                expandedLabel: getCanvasStyle("text", "interactionLabel expanded", LABEL_FONT_SCALE),
+                labelLeader: getCanvasStyle("line", "labelLeader", LABEL_FONT_SCALE),
+                labelBadge: getCanvasStyle("text", "labelBadge", LABEL_FONT_SCALE),
+                dimmed: getCanvasStyle("g", "dimmed", LABEL_FONT_SCALE)
+            };
+            probeArea.remove();
+            return styles;
+
+            function getCanvasStyle(tagName, className, fontScale) {
+                let style = window.getComputedStyle(probeArea.append(tagName).attr("class", className).node());
+                let opacity = parseFloat(style.opacity);
+                return {
+                    fill: getPaint(style.fill, "black"),
+                    stroke: getPaint(style.stroke, null),
+                    strokeWidth: parseFloat(style.strokeWidth) || 1,
+                    dash: (style.strokeDasharray || "").split(/[\s,]+/).map(parseFloat).filter(function (length) {
+                        return length > 0;
+                    }),
+                    opacity: opacity >= 0 ? opacity : 1,
+                    font: style.fontSize && style.fontFamily ?
+                        style.fontSize + " " + style.fontFamily :
+                        settings.interactionLabelHeight * fontScale + "px sans-serif"
+                };
+            }
+
+            function getPaint(paint, defaultPaint) {
+                return !paint ? defaultPaint : paint === "none" ? null : paint;
+            }
+        }
+
+        /**
+         * draws the complex merges and every track with the same layout as the SVG renderer, nothing is animated
+         * labels are left out when they would be smaller than config.minimumLabelHeight and small points are drawn as squares
+         * the label layout of each track is kept for hit testing
+         */
+        function drawTrackCanvas() {
+            let context = trackCanvas.node().getContext("2d");
+            if (!context) {
+                return;
+            }
+            let ratio = window.devicePixelRatio || 1;
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+            context.clearRect(0, 0, settings.outerWidth, settings.margin.top + settings.innerHeight);
+            context.translate(settings.margin.left, settings.margin.top);
+            if (config.showComplexes === "true") {
+                drawCanvasComplexMerges(context);
+            }
+            let isShowingLabels = Math.min(settings.interactionLabelHeight, Math.abs(yScale(1) - yScale(0))) >= config.minimumLabelHeight;
+            let expandedLabels = null;
+            canvasTrackLayouts = tracks.map(function (track, trackNumber) {
+                let layout = isShowingLabels ? getCanvasTrackLayout(context, track, trackNumber) : {trackLabel: null, labels: [], badges: []};
+                context.save();
+                context.translate(0, yScale(tracks.length - trackNumber));
+                context.globalAlpha = isTrackHighlighted(trackNumber) ? 1 : canvasStyles.dimmed.opacity;
+                if (layout.trackLabel) {
+                    drawCanvasText(context, track.protein, layout.trackLabel.x, settings.interactionLabelHeight / 2,
+                        highlightedTrack && isTrackHighlighted(trackNumber) ? canvasStyles.highlightedTrackLabel : canvasStyles.trackLabel);
+                }
+                drawCanvasTrackPaths(context, track);
+                layout.labels.forEach(function (label) {
+                    if (label.row > 0) {
+                        drawCanvasLine(context, xScale(label.data.timePoint), getInteractionPointY(label.data), label.x, getLabelRowY(label.row) - settings.interactionLabelHeight / 3,
+                            canvasStyles.labelLeader, canvasStyles.labelLeader.stroke);
+                    }
+                });
+                drawCanvasInteractionPoints(context, track, trackNumber);
+                layout.labels.forEach(function (label) {
+                    if (label.row >= 0) {
+                        drawCanvasText(context, label.data.protein, label.x, getLabelRowY(label.row), canvasStyles.interactionLabel);
+                    }
+                });
+                layout.badges.forEach(function (badge) {
+                    drawCanvasText(context, badge.text, badge.x, getLabelRowY(badge.row), canvasStyles.labelBadge);
+                    if (canvasExpandedBadge && canvasExpandedBadge.trackNumber === trackNumber && canvasExpandedBadge.timePoint === badge.timePoint) {
+                        expandedLabels = {trackNumber: trackNumber, badge: badge};
+                    }
+                });
+                context.restore();
+                return layout;
+            });
+            if (expandedLabels) {
+                context.translate(0, yScale(tracks.length - expandedLabels.trackNumber));
+                expandedLabels.badge.labels.forEach(function (d, i) {
+                    drawCanvasText(context, d.protein, expandedLabels.badge.x, getLabelRowY(expandedLabels.badge.row + i + 1), canvasStyles.expandedLabel);
+                });
+            }
+        }
+
+        /**
+         * lays out a track's label and interaction labels in the same way as the SVG renderer measuring the text with the canvas
+         * @returns {object} {trackLabel: {x, width} or null if hidden, labels: [{data, x, width, row}], badges}
+         */
+        function getCanvasTrackLayout(context, track, trackNumber) {
+            let nextTrack = tracks[trackNumber + 1];
+            let nextTrackLabel = nextTrack ? getCanvasTrackLabel(context, nextTrack) : null;
+            let labels = track.interactions.filter(function (d) {
+                return isTimePointVisible(d.timePoint);
+            }).map(function (d) {
+                return {data: d, x: getInteractionLabelX(d), width: measureCanvasText(context, d.protein, canvasStyles.interactionLabel), row: -1};
+            });
+            let badges = getTrackLabelLayout(labels, nextTrackLabel);
+            badges.forEach(function (badge) {
+                badge.width = measureCanvasText(context, badge.text, canvasStyles.labelBadge);
+            });
+            return {trackLabel: getCanvasTrackLabel(context, track), labels: labels, badges: badges};
+        }
+
+        function getCanvasTrackLabel(context, track) {
+            if (!isTrackShown(track) || !isTimePointPlayed(track.interactions[0].timePoint)) {
+                return null;
+            }
+            return {x: getTrackLabelX(track), width: measureCanvasText(context, track.protein, canvasStyles.trackLabel)};
+        }
+
+        function measureCanvasText(context, text, style) {
+            let key = style.font + "|" + text;
+            if (!(key in canvasTextWidths)) {
+                context.font = style.font;
+                canvasTextWidths[key] = context.measureText(text).width;
+            }
+            return canvasTextWidths[key];
+        }
+
+        /**
+         * text is drawn right aligned at x as the SVG labels are anchored at their end
+         */
+        function drawCanvasText(context, text, x, y, style) {
+            context.font = style.font;
+            context.textAlign = "end";
+            context.textBaseline = "alphabetic";
+            if (style.fill) {
+                context.fillStyle = style.fill;
+                context.fillText(text, x, y);
+            }
+            if (style.stroke) {
+                context.lineWidth = style.strokeWidth;
+                context.strokeStyle = style.stroke;
+                context.strokeText(text, x, y);
+            }
+        }
+
+        function drawCanvasLine(context, x1, y1, x2, y2, style, stroke, lineWidth) {
+            if (!stroke) {
+                return;
+            }
+            context.beginPath();
+            context.moveTo(x1, y1);
+            context.lineTo(x2, y2);
+            context.setLineDash(style.dash);
+            context.lineWidth = lineWidth || style.strokeWidth;
+            context.strokeStyle = stroke;
+            context.stroke();
+            context.setLineDash([]);
+        }
+
+        function drawCanvasComplexMerges(context) {
+            complexTimeline.filter(function (complexEvent) {
+                return complexEvent.type === "merge";
+            }).map(getComplexMergePoints).forEach(function (mergePoints) {
+                if (mergePoints && isTimePointVisible(mergePoints[0].x)) {
+                    drawCanvasLine(context,
+                        xScale(getPlayedTimePoint(mergePoints[0].x)), yScale(mergePoints[0].y),
+                        xScale(getPlayedTimePoint(mergePoints[1].x)), yScale(mergePoints[1].y),
+                        canvasStyles.complexMerge, canvasStyles.complexMerge.stroke, settings.interactionPointRadius / 2);
+                }
+            });
+        }
+
+        /**
+         * track segments take the color of config.colorColumn (bound segments only) or of the track's complex as in colorTrackByColumn and colorTrackByComplex
+         */
+        function drawCanvasTrackPaths(context, track) {
+            let complexStroke = !getEncoding("color") && config.showComplexes === "true" ? complexColor(track.founderComplex) : null;
+            getTrackSegments(track).forEach(function (segment) {
+                if (!isTimePointPlayed(segment.start)) {
+                    return;
+                }
+                let style = segment.bound ? canvasStyles.interactionPath : canvasStyles.freePath;
+                let stroke = (segment.bound && getEncoding("color") ? getEncodedValue("color", segment.data) : complexStroke) || style.stroke;
+                drawCanvasLine(context, xScale(getPlayedTimePoint(segment.start)), 0, xScale(getPlayedTimePoint(segment.end)), 0,
+                    style, stroke, segment.bound ? settings.interactionPointRadius : settings.interactionPointRadius / 2);
+            });
+        }
+
+        function drawCanvasInteractionPoints(context, track, trackNumber) {
+            let symbol = d3.symbol().context(context);
+            let trackColor = getEncoding("color") ? null : config.showComplexes === "true" ? complexColor(track.founderComplex) : null;
+            track.interactions.forEach(function (d) {
+                if (!isTimePointVisible(d.timePoint)) {
+                    return;
+                }
+                let style = getCanvasPointStyle(d);
+                let color = getEncoding("color") ? getEncodedValue("color", d.data) : trackColor;
+                let fill = color && !isDissociation(d) ? color : style.fill;
+                let stroke = color || (isCanvasPointSelected(trackNumber, d) ? canvasStyles.selectedPoint.stroke : style.stroke);
+                let radius = getInteractionPointRadius(d);
+                let x = getInteractionPointX(d),
+                    y = getInteractionPointY(d);
+                context.beginPath();
+                if (radius < CANVAS_POINT_DETAIL_RADIUS) {
+                    context.rect(x - radius, y - radius, radius * 2, radius * 2);
+                } else if (config.shapeColumn) {
+                    context.save();
+                    context.translate(x, y);
+                    symbol.type(getEncodedValue("shape", d.data) || d3.symbolCircle)
+                        .size(Math.PI * radius * radius)();
+                    context.restore();
+                } else {
+                    context.arc(x, y, radius, 0, 2 * Math.PI);
+                }
+                if (fill) {
+                    context.fillStyle = fill;
+                    context.fill();
+                }
+                if (stroke) {
+                    context.lineWidth = style.strokeWidth;
+                    context.strokeStyle = stroke;
+                    context.stroke();
+                }
+            });
+        }
+
+        function getCanvasPointStyle(d) {
+            if (d.type === constants.eventType.DEGRADE) {
+                return canvasStyles.degradationPoint;
+            }
+            return isDissociation(d) ? canvasStyles.dissociationPoint : canvasStyles.interactionPoint;
+        }
+
+        function isCanvasPointSelected(trackNumber, d) {
+            return selectedInteraction !== null && d.id === selectedInteraction.interaction.id &&
+                (trackNumber === selectedInteraction.trackNumber || tracks[trackNumber].protein === selectedInteraction.interaction.protein);
+        }
+
+        /**
+         * finds what is under the mouse on the canvas, the nearest track is found from yScale and its points, badges, label and path are tested in turn
+         * badges hang below their track so the track above is also tested for them
+         * @returns {object} {trackNumber, interaction} for a point, {trackNumber, badge}, {trackNumber, label: true}, {trackNumber, path: true} or null
+         */
+        function getCanvasTarget() {
+            let mouse = d3.mouse(graphArea.node());
+            let trackNumber = Math.round(tracks.length - yScale.invert(mouse[1]));
+            if (trackNumber < 0 || trackNumber >= tracks.length) {
+                return null;
+            }
+            let track = tracks[trackNumber];
+            let x = mouse[0],
+                y = mouse[1] - yScale(tracks.length - trackNumber);
+            let nearest = null,
+                nearestDistance = Infinity;
+            track.interactions.forEach(function (d) {
+                let distance = Math.sqrt(Math.pow(x - getInteractionPointX(d), 2) + Math.pow(y - getInteractionPointY(d), 2));
+                if (isTimePointVisible(d.timePoint) && distance <= getInteractionPointRadius(d) && distance < nearestDistance) {
+                    nearest = d;
+                    nearestDistance = distance;
+                }
+            });
+            if (nearest) {
+                return {trackNumber: trackNumber, interaction: nearest};
+            }
+            for (let badgeTrackNumber = trackNumber; badgeTrackNumber >= Math.max(0, trackNumber - 1); badgeTrackNumber--) {
+                let badgeY = mouse[1] - yScale(tracks.length - badgeTrackNumber);
+                let badge = (canvasTrackLayouts[badgeTrackNumber] ? canvasTrackLayouts[badgeTrackNumber].badges : []).filter(function (badge) {
+                    let rowY = getLabelRowY(badge.row);
+                    return x >= badge.x - badge.width && x <= badge.x && badgeY >= rowY - settings.interactionLabelHeight && badgeY <= rowY;
+                })[0];
+                if (badge) {
+                    return {trackNumber: badgeTrackNumber, badge: badge};
+                }
+            }
+            let trackLabel = canvasTrackLayouts[trackNumber] && canvasTrackLayouts[trackNumber].trackLabel;
+            if (trackLabel && x >= trackLabel.x - trackLabel.width && x <= trackLabel.x &&
+                Math.abs(y) <= settings.interactionLabelHeight * TRACK_LABEL_FONT_SCALE / 2) {
+                return {trackNumber: trackNumber, label: true};
+            }
+            let firstTimePoint = track.interactions[0].timePoint,
+                lastTimePoint = d3.max(track.interactions, getTimePoint);
+            if (Math.abs(y) <= settings.interactionPointRadius / 2 && isTimePointPlayed(firstTimePoint) &&
+                x >= xScale(firstTimePoint) && x <= xScale(getPlayedTimePoint(lastTimePoint))) {
+                return {trackNumber: trackNumber, path: true};
+            }
+            return null;
+        }
+
+        /**
+         * hovering shows the tooltip over points, highlights partner tracks over a track label and shows a badge's labels as the SVG renderer does
+         * the canvas is only redrawn when what is highlighted or expanded changes
+         */
+        function trackCanvasMouseMoved() {
+            let target = getCanvasTarget();
+            if (target && target.interaction) {
+                showInteractionTooltip(target.trackNumber, target.interaction);
+            } else {
+                hideTooltip();
+            }
+            let isRedrawn = false;
+            if (target && target.label) {
+                if (!highlightedTrack || highlightedTrack.trackNumber !== target.trackNumber) {
+                    highlightPartnerTracks(target.trackNumber);
+                    isRedrawn = true;
+                }
+            } else if (highlightedTrack) {
+                clearHighlightedTracks();
+                isRedrawn = true;
+            }
+            let expandedBadge = target && target.badge ? {trackNumber: target.trackNumber, timePoint: target.badge.timePoint} : null;
+            if (!isSameExpandedBadge(expandedBadge, canvasExpandedBadge)) {
+                canvasExpandedBadge = expandedBadge;
+                if (!isRedrawn) {
+                    drawTrackCanvas();
+                }
+            }
+            trackCanvas.style("cursor", target ? "pointer" : null);
+        }
+
+        function isSameExpandedBadge(a, b) {
+            return a === b || (a !== null && b !== null && a.trackNumber === b.trackNumber && a.timePoint === b.timePoint);
+        }
+
+        function trackCanvasMouseOut() {
+            hideTooltip();
+            canvasExpandedBadge = null;
+            if (highlightedTrack) {
+                clearHighlightedTracks();
+            } else {
+                drawTrackCanvas();
+            }
+        }
+
+        function trackCanvasClicked() {
+            let target = getCanvasTarget();
+            if (!target || target.badge) {
+                return;
+            }
+            if (target.interaction) {
+                toggleSelectedInteraction(target.trackNumber, target.interaction);
+                drawTrackCanvas();
+                notifyTrackClick(target.trackNumber, target.interaction);
+            } else {
+                notifyTrackClick(target.trackNumber);
+            }
+        }
+
+        function addTrackLabel(trackGroup, trackNumber) {
+            let trackLabel = trackGroup.selectAll(".trackLabel")
+                .data([tracks[trackNumber]]);
+            trackLabel.enter()
+                .append("text")
+                .style("text-anchor", "end")
+                .attr("x", getTrackLabelX)
+                .attr("y", settings.interactionLabelHeight / 2)
+                .merge(trackLabel)
+                .attr("class", "trackLabel track" + trackNumber)
+                .attr("aria-hidden", "true")
+                .text(getTrackProtein)
+                .on("mouseover", function () {
+                    highlightPartnerTracks(trackNumber);
+                })
+                .on("mouseout", clearHighlightedTracks)
+                .on("click", function () {
+                    notifyTrackClick(trackNumber);
+                });
+        }
+
+        /**
+         * the track label sits just before the track's first time point
+         * or at the start of the time axis when the track starts before the time range shown
+         */
+        function getTrackLabelX(track) {
+            let firstTimePoint = track.interactions[0].timePoint;
+            return xScale(Math.max(firstTimePoint, xScale.domain()[0])) - 2 * settings.interactionPointRadius;
+        }
+
+        /**
+         * draws the track as a solid interactionPath where its protein is bound and a dashed freePath where it is free
+         * paths are drawn along the top of the track's group, their new extents are drawn by redrawTimePositions
+         */
+        function addTrackPath(trackGroup, trackNumber) {
+            let trackPaths = trackGroup.selectAll(".interactionPath, .freePath")
+                .data(getTrackSegments(tracks[trackNumber]).map(function (segment) {
+                    let trackInteractions = [
+                        {x: segment.start, data: segment.data},
+                        {x: segment.end, data: segment.data}
+                    ];
+                    trackInteractions.bound = segment.bound;
+                    return trackInteractions;
+                }));
+            trackPaths.exit().remove();
+            trackPaths.enter()
+                .insert("path", ".interactionPoint")
+                .attr("d", drawTrackSegmentLine)
+                .merge(trackPaths)
+                .attr("style", function (d) {
+                    return "stroke-width: " + (d.bound ? settings.interactionPointRadius : settings.interactionPointRadius / 2) + "px;";
+                })
+                .attr("class", function (d) {
+                    return (d.bound ? "interactionPath" : "freePath") + " track" + trackNumber;
+                })
+                .on("click", function () {
+                    notifyTrackClick(trackNumber);
+                });
+        }
+
+        let drawTrackLine = d3.line()
+            .x(function (d) {
+                return xScale(getPlayedTimePoint(d.x));
+            })
+            .y(function (d) {
+                return yScale(d.y);
+            });
+
+        let drawTrackSegmentLine = d3.line()
+            .x(function (d) {
+                return xScale(getPlayedTimePoint(d.x));
+            })
+            .y(0);
+
+        function getInteractionKey(d) {
+            return d.id + "|" + d.protein;
+        }
+
+        function addTrackInteractionPoints(trackGroup, trackNumber) {
+            let trackInteractions = tracks[trackNumber].interactions;
+
+            let interactionPoints = trackGroup
+                .selectAll(".interactionPoint")
+                .data(trackInteractions, getInteractionKey);
+
+            /*exit*/
+            interactionPoints.exit().remove();
+
+            /*enter*/
+            let enteredPoints = interactionPoints
+                .enter()
+                .insert(config.shapeColumn ? "path" : "circle", ".interactionLabel");
+            positionInteractionPoints(enteredPoints);
+
+            /*update*/
+            enteredPoints.merge(interactionPoints)
+                .attr("class", "interactionPoint track" + trackNumber)
+                .classed("dissociationPoint", isDissociation)
+                .classed("degradationPoint", function (d) {
+                    return d.type === constants.eventType.DEGRADE;
+                })
+                .attr("role", "img")
+                .attr("aria-label", function (d) {
+                    return getInteractionDescription(trackNumber, d);
+                })
+                .call(sizeInteractionPoints)
+                .on("mouseover", function (d) {
+                    showInteractionTooltip(trackNumber, d);
+                })
+                .on("mousemove", moveTooltip)
+                .on("mouseout", hideTooltip)
+                .on("click", function (d) {
+                    toggleSelectedInteraction(trackNumber, d);
+                    notifyTrackClick(trackNumber, d);
+                });
+        }
+
+        /**
+         * interaction points are circles unless config.shapeColumn is set when they are d3.symbol paths positioned by their transform
+         * points are drawn along the top of their track's group, or either side of it in a "sideBySide" comparison
+         * @param {object} interactionPoints - a selection or transition
+         */
+        function positionInteractionPoints(interactionPoints) {
+            if (config.shapeColumn) {
+                interactionPoints.attr("transform", function (d) {
+                    return "translate(" + getInteractionPointX(d) + "," + getInteractionPointY(d) + ")";
+                });
+            } else {
+                interactionPoints
+                    .attr("cx", getInteractionPointX)
+                    .attr("cy", getInteractionPointY);
+            }
+        }
+
+        function sizeInteractionPoints(interactionPoints) {
+            if (config.shapeColumn) {
+                interactionPoints.attr("d", d3.symbol()
+                    .type(function (d) {
+                        return getEncodedValue("shape", d.data) || d3.symbolCircle;
+                    })
+                    .size(function (d) {
+                        return Math.PI * Math.pow(getInteractionPointRadius(d), 2);
+                    })
+                );
+            } else {
+                interactionPoints.attr("r", getInteractionPointRadius);
+            }
+        }
+
+        function getInteractionPointRadius(d) {
+            return getEncodedValue("size", d.data) || settings.interactionPointRadius;
+        }
+
+        function getInteractionPointX(d) {
+            return xScale(d.timePoint);
+        }
+
+        /**
+         * points are on the track except in a "sideBySide" comparison where the first condition's points are above it and the second's below
+         */
+        function getInteractionPointY(d) {
+            if (config.comparison !== constants.comparison.SIDE_BY_SIDE) {
+                return 0;
+            }
+            return getEventCondition(d.data) ? settings.laneOffset : -settings.laneOffset;
+        }
+
+        /**
+         * the tooltip is a fixed position div so it can be placed at the mouse position whatever the container's layout
+         */
+        function showInteractionTooltip(trackNumber, d) {
+            let tooltipLines = tooltip.selectAll("div").data(getInteractionLines(trackNumber, d));
+            tooltipLines.exit().remove();
+            tooltipLines.enter().append("div")
+                .merge(tooltipLines)
+                .text(function (line) {
+                    return line;
+                });
+            tooltip.style("display", null);
+            moveTooltip();
+        }
+
+        /**
+         * describes an interaction point in the tooltip, its aria-label and keyboard announcements
+         */
+        function getInteractionLines(trackNumber, d) {
+            let track = tracks[trackNumber];
+            let lines = [
+                track.protein + " - " + d.protein,
+                config.timePointColumn + ": " + formatTimePoint(d.timePoint),
+                "ID: " + d.id
+            ];
+            if (config.eventTypeColumn) {
+                lines.push(config.eventTypeColumn + ": " + d.type);
+            }
+            if (isComparing()) {
+                lines.push(CONDITION_COLUMN + ": " + d.data[CONDITION_COLUMN]);
+            }
+            getEncodedColumns().forEach(function (column) {
+                lines.push(column + ": " + d.data[column]);
+            });
+            return lines;
+        }
+
+        function getInteractionDescription(trackNumber, d) {
+            return getInteractionLines(trackNumber, d).join(", ");
+        }
+
+        function moveTooltip() {
+            tooltip
+                .style("left", (d3.event.clientX + settings.interactionPointRadius) + "px")
+                .style("top", (d3.event.clientY + settings.interactionPointRadius) + "px");
+        }
+
+        function hideTooltip() {
+            tooltip.style("display", "none");
+        }
+
+        /**
+         * marks the tracks of every partner of trackNumber as highlighted and dims all unrelated tracks
+         */
+        function highlightPartnerTracks(trackNumber) {
+            let partners = Object.create(null);
+            tracks[trackNumber].interactions.forEach(function (interaction) {
+                partners[interaction.protein] = true;
+            });
+            highlightedTrack = {trackNumber: trackNumber, partners: partners};
+            classHighlightedTracks();
+            if (trackCanvas) {
+                drawTrackCanvas();
+            }
+            classHighlightedNetwork();
+        }
+
+        function classHighlightedTracks() {
+            tracks.forEach(function (track, trackNumber) {
+                graphArea.selectAll(".track" + trackNumber)
+                    .classed("highlighted", isTrackHighlighted(trackNumber))
+                    .classed("dimmed", !isTrackHighlighted(trackNumber));
+            });
+        }
+
+        function isTrackHighlighted(trackNumber) {
+            return !highlightedTrack || trackNumber === highlightedTrack.trackNumber || tracks[trackNumber].protein in highlightedTrack.partners;
+        }
+
+        function clearHighlightedTracks() {
+            highlightedTrack = null;
+            graphArea.selectAll(".highlighted, .dimmed")
+                .classed("highlighted", false)
+                .classed("dimmed", false);
+            if (trackCanvas) {
+                drawTrackCanvas();
+            }
+            classHighlightedNetwork();
+        }
+
+        /**
+         * the network view is a square SVG drawn after the chart's SVG, beside it when the container is wide enough
+         * with a node for every protein with a track or listed as a track's partner and an edge for every pair of partners
+         * clicking the time axis selects the time point the network is shown up to, which is marked on the chart
+         */
+        function setupNetworkView() {
+            if (config.networkView !== "true") {
+                return;
+            }
+            networkArea = d3.select(config.selector)
+                .insert("svg", getFirstControl)
+                .classed("networkView", true)
+                .attr("width", settings.outerHeight)
+                .attr("height", settings.outerHeight)
+                .style("--baseTextHeight", settings.interactionLabelHeight);
+
+            graphArea.append("line")
+                .classed("networkTimeMarker", true)
+                .attr("y1", 0)
+                .attr("y2", settings.innerHeight)
+                .style("stroke-width", settings.interactionPointRadius / 4 + "px");
+
+            graphArea.append("rect")
+                .classed("timeAxisSelector", true)
+                .attr("y", yScale(0))
+                .attr("width", settings.innerWidth)
+                .attr("height", settings.timeAxisHeight)
+                .style("fill", "none")
+                .style("pointer-events", "all")
+                .style("cursor", "pointer")
+                .on("click", function () {
+                    let timePoint = getNearestTimePoint(xScale.invert(d3.mouse(this)[0]));
+                    selectNetworkTimePoint(timePoint === networkTimePoint ? null : timePoint);
+                });
+
+            drawNetwork();
+        }
+
+        /**
+         * the layout is run to the end before it is drawn so nodes stay put as the time point changes, edges first seen after it are hidden
+         */
+        function drawNetwork() {
+            if (!networkArea) {
+                return;
+            }
+            networkArea.selectAll("*").remove();
+            network = getInteractionGraph();
+            layoutNetwork(settings.outerHeight);
+
+            networkArea.append("g")
+                .classed("networkEdges", true)
+                .selectAll(".networkEdge")
+                .data(network.edges)
+                .enter()
+                .append("line")
+                .classed("networkEdge", true)
+                .attr("x1", function (d) {
+                    return d.source.x;
+                })
+                .attr("y1", function (d) {
+                    return d.source.y;
+                })
+                .attr("x2", function (d) {
+                    return d.target.x;
+                })
+                .attr("y2", function (d) {
+                    return d.target.y;
+                })
+                .style("stroke-width", function (d) {
+                    return Math.sqrt(d.count) * settings.interactionPointRadius / 4 + "px";
+                });
+
+            let nodes = networkArea.append("g")
+                .classed("networkNodes", true)
+                .selectAll(".networkNode")
+                .data(network.nodes)
+                .enter()
+                .append("g")
+                .attr("class", function (d) {
+                    return "networkNode" + (d.hasTrack ? "" : " untracked");
+                })
+                .attr("transform", function (d) {
+                    return "translate(" + d.x + "," + d.y + ")";
+                })
+                .on("mouseover", function (d) {
+                    let trackNumber = getTrackNumber(d.protein);
+                    if (trackNumber >= 0) {
+                        highlightPartnerTracks(trackNumber);
+                    }
+                })
+                .on("mouseout", clearHighlightedTracks)
+                .on("click", function (d) {
+                    let trackNumber = getTrackNumber(d.protein);
+                    if (trackNumber >= 0) {
+                        notifyTrackClick(trackNumber);
+                    }
+                });
+            nodes.append("circle")
+                .attr("r", settings.interactionPointRadius)
+                .filter(function (d) {
+                    return d.hasTrack && !getEncoding("color") && config.showComplexes === "true";
+                })
+                .style("fill", function (d) {
+                    return complexColor(tracks[getTrackNumber(d.protein)].founderComplex);
+                });
+            nodes.append("text")
+                .classed("networkLabel", true)
+                .style("text-anchor", "middle")
+                .attr("y", settings.interactionPointRadius + settings.interactionLabelHeight)
+                .text(function (d) {
+                    return d.protein;
+                });
+
+            updateNetwork();
+        }
+
+        /**
+         * edges are built from the same interactions as the tracks so they match the partners listed by getTrackInteractions
+         * each pair of partners has one edge however many events and tracks list it, self interactions have none
+         * @returns {object} {nodes: [{protein, hasTrack}], edges: [{source, target, count, firstTimePoint, lastTimePoint}]}
+         */
+        function getInteractionGraph() {
+            let nodes = Object.create(null),
+                edges = Object.create(null);
+
+            function addNode(protein, hasTrack) {
+                nodes[protein] = nodes[protein] || {protein: protein, hasTrack: false};
+                nodes[protein].hasTrack = nodes[protein].hasTrack || hasTrack;
+            }
+
+            tracks.forEach(function (track) {
+                addNode(track.protein, true);
+                track.interactions.forEach(function (interaction) {
+                    addNode(interaction.protein, false);
+                    if (interaction.protein === track.protein) {
+                        return;
+                    }
+                    let pair = [track.protein, interaction.protein].sort();
+                    let key = pair.join("\t");
+                    let edge = edges[key] = edges[key] ||
+                        {source: pair[0], target: pair[1], eventIds: d3.set(), firstTimePoint: interaction.timePoint, lastTimePoint: interaction.timePoint};
+                    edge.firstTimePoint = Math.min(edge.firstTimePoint, interaction.timePoint);
+                    edge.lastTimePoint = Math.max(edge.lastTimePoint, interaction.timePoint);
+                    edge.eventIds.add(interaction.id);
+                });
+            });
+            return {
+                nodes: d3.values(nodes),
+                edges: d3.values(edges).map(function (edge) {
+                    edge.count = edge.eventIds.size();
+                    delete edge.eventIds;
+                    return edge;
+                })
+            };
+        }
+
+        /**
+         * runs the force layout without animating it then scales it to fit the panel leaving room for the labels
+         */
+        function layoutNetwork(size) {
+            let radius = settings.interactionPointRadius;
+            let simulation = d3.forceSimulation(network.nodes)
+                .force("link", d3.forceLink(network.edges)
+                    .id(function (d) {
+                        return d.protein;
+                    })
+                    .distance(radius * 8))
+                .force("charge", d3.forceManyBody().strength(-radius * 10))
+                .force("collide", d3.forceCollide(radius * 3))
+                .force("x", d3.forceX(0))
+                .force("y", d3.forceY(0))
+                .stop();
+            let tickCount = Math.ceil(Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay()));
+            for (let i = 0; i < tickCount; i++) {
+                simulation.tick();
+            }
+            let padding = settings.interactionLabelHeight * 3;
+            let xExtent = d3.extent(network.nodes, function (d) {
+                    return d.x;
+                }),
+                yExtent = d3.extent(network.nodes, function (d) {
+                    return d.y;
+                });
+            let scale = Math.min(1, (size - 2 * padding) / Math.max(1, xExtent[1] - xExtent[0], yExtent[1] - yExtent[0]));
+            network.nodes.forEach(function (node) {
+                node.x = size / 2 + (node.x - (xExtent[0] + xExtent[1]) / 2) * scale;
+                node.y = size / 2 + (node.y - (yExtent[0] + yExtent[1]) / 2) * scale;
+            });
+        }
+
+        /**
+         * hides edges first seen after the network's time point, nodes with no edges shown are faded, and moves the marker on the time axis
+         */
+        function updateNetwork() {
+            if (!networkArea) {
+                return;
+            }
+            let timePoint = getNetworkTimePoint();
+            networkArea.selectAll(".networkEdge")
+                .style("display", function (d) {
+                    return d.firstTimePoint <= timePoint ? null : "none";
+                });
+            let degrees = getNetworkDegrees(network.edges.filter(function (edge) {
+                return edge.firstTimePoint <= timePoint;
+            }));
+            networkArea.selectAll(".networkNode")
+                .classed("inactive", function (d) {
+                    return !degrees[d.protein];
+                });
+            graphArea.select(".networkTimeMarker")
+                .attr("x1", networkTimePoint === null ? 0 : xScale(networkTimePoint))
+                .attr("x2", networkTimePoint === null ? 0 : xScale(networkTimePoint))
+                .style("display", networkTimePoint !== null && isTimePointShown(networkTimePoint) ? null : "none");
+        }
+
+        function getNetworkDegrees(edges) {
+            let degrees = Object.create(null);
+            edges.forEach(function (edge) {
+                [edge.source.protein, edge.target.protein].forEach(function (protein) {
+                    degrees[protein] = (degrees[protein] || 0) + 1;
+                });
+            });
+            return degrees;
+        }
+
+        /**
+         * the time point selected on the time axis, otherwise the playback time point, otherwise the last time point so every edge is shown
+         */
+        function getNetworkTimePoint() {
+            if (networkTimePoint !== null) {
+                return networkTimePoint;
+            }
+            if (playbackTimePoint !== null) {
+                return playbackTimePoint;
+            }
+            return d3.max(network.edges, function (edge) {
+                return edge.firstTimePoint;
+            });
+        }
+
+        function selectNetworkTimePoint(timePoint) {
+            networkTimePoint = timePoint;
+            updateNetwork();
+            scheduleHistoryUpdate();
+        }
+
+        function getNearestTimePoint(time) {
+            let timePoints = getTimePoints().filter(isTimePointShown);
+            return timePoints.reduce(function (nearest, timePoint) {
+                return Math.abs(timePoint - time) < Math.abs(nearest - time) ? timePoint : nearest;
+            }, timePoints[0]);
+        }
+
+        /**
+         * the network's nodes and edges take the same highlighted and dimmed classes as the tracks
+         */
+        function classHighlightedNetwork() {
+            if (!networkArea) {
+                return;
+            }
+            let protein = highlightedTrack ? tracks[highlightedTrack.trackNumber].protein : null;
+            networkArea.selectAll(".networkNode")
+                .classed("highlighted", function (d) {
+                    return d.protein === protein;
+                })
+                .classed("dimmed", function (d) {
+                    return protein !== null && d.protein !== protein && !(d.protein in highlightedTrack.partners);
+                });
+            networkArea.selectAll(".networkEdge")
+                .classed("highlighted", function (d) {
+                    return d.source.protein === protein || d.target.protein === protein;
+                })
+                .classed("dimmed", function (d) {
+                    return protein !== null && d.source.protein !== protein && d.target.protein !== protein;
+                });
+        }
+
+        /**
+         * the SVG is a focusable group labelled by its title and description, each track and interaction point has an aria-label
+         * arrow keys move a focus ring between tracks and interaction points and what it is on is announced through a visually hidden live region
+         */
+        function setupAccessibility() {
+            canvasArea
+                .attr("role", "group")
+                .attr("tabindex", 0)
+                .attr("aria-labelledby", chartId + "-title")
+                .attr("aria-describedby", chartId + "-desc")
+                .on("keydown", chartKeyPressed)
+                .on("focus", function () {
+                    if (!focusedPoint) {
+                        focusPoint(getNearestVisiblePoint(0, -Infinity, 1));
+                    } else {
+                        drawFocusRing();
+                    }
+                })
+                .on("blur", function () {
+                    graphArea.select(".focusRing").style("display", "none");
+                });
+            canvasArea.insert("desc", ":first-child")
+                .attr("id", chartId + "-desc");
+            canvasArea.insert("title", ":first-child")
+                .attr("id", chartId + "-title")
+                .text("Protein interaction timeline");
+            describeChart();
+
+            graphArea.append("circle")
+                .classed("focusRing", true)
+                .style("fill", "none")
+                .style("pointer-events", "none")
+                .style("display", "none");
+
+            announcer = d3.select(config.selector)
+                .append("div")
+                .classed("multiComplexAnnouncer", true)
+                .attr("aria-live", "polite")
+                .call(setVisuallyHidden, true);
+        }
+
+        function describeChart() {
+            let timePoints = getTimePoints();
+            canvasArea.select("desc").text(
+                tracks.length + " protein tracks with " + getTrackEvents().length + " interactions" +
+                (timePoints.length ? " from " + config.timePointColumn + " " + formatTimePoint(timePoints[0]) + " to " + formatTimePoint(timePoints[timePoints.length - 1]) : "") +
+                ". Use the arrow keys to move between tracks and interaction points, Enter to select an interaction point and Escape to clear the selection."
+            );
+        }
+
+        function getTrackDescription(track) {
+            return track.protein + ", " + track.interactions.length + " interactions from " + config.timePointColumn + " " +
+                formatTimePoint(getFirstTimePoint(track)) + " to " + formatTimePoint(d3.max(track.interactions, function (d) {
+                    return d.timePoint;
+                }));
+        }
+
+        function chartKeyPressed() {
+            let key = d3.event.key;
+            if (!focusedPoint || !tracks[focusedPoint.trackNumber]) {
+                focusPoint(getNearestVisiblePoint(0, -Infinity, 1));
+            } else if (key === "ArrowUp" || key === "ArrowDown") {
+                focusPoint(getNearestVisiblePoint(focusedPoint.trackNumber + (key === "ArrowUp" ? -1 : 1), focusedPoint.interaction.timePoint, key === "ArrowUp" ? -1 : 1));
+            } else if (key === "ArrowLeft" || key === "ArrowRight" || key === "Home" || key === "End") {
+                let points = getVisiblePoints(focusedPoint.trackNumber);
+                let index = points.indexOf(focusedPoint.interaction);
+                index = key === "Home" ? 0 : key === "End" ? points.length - 1 : index + (key === "ArrowLeft" ? -1 : 1);
+                focusPoint(points[index] ? {trackNumber: focusedPoint.trackNumber, interaction: points[index]} : null);
+            } else if (key === "Enter" || key === " ") {
+                toggleSelectedInteraction(focusedPoint.trackNumber, focusedPoint.interaction);
+                if (trackCanvas) {
+                    drawTrackCanvas();
+                }
+                notifyTrackClick(focusedPoint.trackNumber, focusedPoint.interaction);
+                announceFocusedPoint(false);
+            } else if (key === "Escape") {
+                clearSelectedInteraction();
+                if (trackCanvas) {
+                    drawTrackCanvas();
+                }
+                announceFocusedPoint(false);
+            } else {
+                return;
+            }
+            d3.event.preventDefault();
+        }
+
+        /**
+         * @returns {Array} the track's shown interaction points in the order the arrow keys move through them, by time point and then event ID
+         */
+        function getVisiblePoints(trackNumber) {
+            return tracks[trackNumber].interactions
+                .filter(function (d) {
+                    return isTimePointVisible(d.timePoint);
+                })
+                .sort(function (a, b) {
+                    return a.timePoint - b.timePoint || d3.ascending(a.id, b.id);
+                });
+        }
+
+        /**
+         * @returns {object} {trackNumber, interaction} the visible point nearest timePoint on trackNumber,
+         * or on the next track in direction (1 down, -1 up) with a visible point, or null if there is none
+         */
+        function getNearestVisiblePoint(trackNumber, timePoint, direction) {
+            for (; trackNumber >= 0 && trackNumber < tracks.length; trackNumber += direction) {
+                let points = getVisiblePoints(trackNumber);
+                if (points.length) {
+                    return {
+                        trackNumber: trackNumber,
+                        interaction: points.reduce(function (nearest, d) {
+                            return Math.abs(d.timePoint - timePoint) < Math.abs(nearest.timePoint - timePoint) ? d : nearest;
+                        })
+                    };
+                }
+            }
+            return null;
+        }
+
+        /**
+         * moving past the first or last point or track keeps the focus where it is
+         */
+        function focusPoint(point) {
+            if (!point) {
+                return;
+            }
+            let isNewTrack = !focusedPoint || focusedPoint.trackNumber !== point.trackNumber;
+            focusedPoint = point;
+            drawFocusRing();
+            announceFocusedPoint(isNewTrack);
+        }
+
+        function drawFocusRing() {
+            let ring = graphArea.select(".focusRing");
+            let isShown = focusedPoint && tracks[focusedPoint.trackNumber] && tracks[focusedPoint.trackNumber].interactions.indexOf(focusedPoint.interaction) >= 0 &&
+                isTimePointVisible(focusedPoint.interaction.timePoint) && document.activeElement === canvasArea.node();
+            ring.style("display", isShown ? null : "none");
+            if (isShown) {
+                ring.attr("cx", getInteractionPointX(focusedPoint.interaction))
+                    .attr("cy", yScale(tracks.length - focusedPoint.trackNumber) + getInteractionPointY(focusedPoint.interaction))
+                    .attr("r", getInteractionPointRadius(focusedPoint.interaction) + settings.interactionPointRadius / 2)
+                    .style("stroke-width", settings.interactionPointRadius / 3 + "px");
+            }
+        }
+
+        function announceFocusedPoint(withTrack) {
+            let track = tracks[focusedPoint.trackNumber];
+            let isSelected = selectedInteraction && selectedInteraction.trackNumber === focusedPoint.trackNumber && selectedInteraction.interaction === focusedPoint.interaction;
+            announcer.text(
+                (withTrack ? "Track " + (focusedPoint.trackNumber + 1) + " of " + tracks.length + ", " + getTrackDescription(track) + ". " : "") +
+                getInteractionDescription(focusedPoint.trackNumber, focusedPoint.interaction) + (isSelected ? ", selected" : "")
+            );
+        }
+
+        /**
+         * a table of the events drawn after the chart's other controls, visually hidden so only screen readers find it until its button shows it
+         */
+        function setupDataTable() {
+            if (config.dataTable === constants.dataTable.NONE) {
+                return;
+            }
+            dataTablePanel = d3.select(config.selector)
+                .append("div")
+                .classed("dataTablePanel", true);
+            dataTablePanel.append("button")
+                .classed("dataTableToggle", true)
+                .on("click", function () {
+                    showDataTable(dataTablePanel.select("table").classed("visuallyHidden"));
+                });
+            let table = dataTablePanel.append("table")
+                .classed("dataTable", true);
+            table.append("caption");
+            table.append("thead").append("tr");
+            table.append("tbody");
+            updateDataTable();
+            showDataTable(config.dataTable === constants.dataTable.VISIBLE);
+        }
+
+        function showDataTable(isShown) {
+            dataTablePanel.select("table")
+                .classed("visuallyHidden", !isShown)
+                .call(setVisuallyHidden, !isShown);
+            dataTablePanel.select(".dataTableToggle")
+                .text(isShown ? "Hide data table" : "Show data table");
+        }
+
+        /**
+         * lists the events of the tracks drawn, once each, in time order with the columns the chart shows
+         */
+        function updateDataTable() {
+            if (!dataTablePanel) {
+                return;
+            }
+            let columns = [config.eventIdColumn, config.timePointColumn, config.proteinAColumn, config.proteinBColumn];
+            if (config.eventTypeColumn) {
+                columns.push(config.eventTypeColumn);
+            }
+            if (isComparing()) {
+                columns.push(CONDITION_COLUMN, COMPARISON_COLUMN);
+            }
+            columns = d3.set(columns.concat(getEncodedColumns())).values();
+            let events = getTrackEvents();
+            let table = dataTablePanel.select("table");
+            table.select("caption")
+                .text("Interaction events drawn in the chart (" + events.length + ")");
+            let headers = table.select("thead tr")
+                .selectAll("th")
+                .data(columns);
+            headers.exit().remove();
+            headers.enter()
+                .append("th")
+                .attr("scope", "col")
+                .merge(headers)
+                .text(function (column) {
+                    return column;
+                });
+            let rows = table.select("tbody")
+                .selectAll("tr")
+                .data(events);
+            rows.exit().remove();
+            let cells = rows.enter()
+                .append("tr")
+                .merge(rows)
+                .selectAll("td")
+                .data(function (d) {
+                    return columns.map(function (column) {
+                        if (column === config.eventIdColumn) {
+                            return d.id;
+                        }
+                        return column === config.timePointColumn ? formatTimePoint(d.timePoint) : d.data[column];
+                    });
+                });
+            cells.exit().remove();
+            cells.enter()
+                .append("td")
+                .merge(cells)
+                .text(function (value) {
+                    return value === null || value === undefined ? "" : value;
+                });
+        }
+
+        /**
+         * @returns {Array} one interaction for each event on the tracks drawn in time order
+         */
+        function getTrackEvents() {
+            let events = Object.create(null);
+            tracks.forEach(function (track) {
+                track.interactions.forEach(function (interaction) {
+                    events[interaction.id] = events[interaction.id] || interaction;
+                });
+            });
+            return d3.values(events).sort(function (a, b) {
+                return a.timePoint - b.timePoint;
+            });
+        }
+
+        /**
+         * clicking an interaction point draws a connector to the matching point (same event) on the partner's track
+         * clicking the same point again removes it
+         */
+        function toggleSelectedInteraction(trackNumber, interaction) {
+            let isSelected = selectedInteraction &&
+                selectedInteraction.trackNumber === trackNumber &&
+                selectedInteraction.interaction === interaction;
+            clearSelectedInteraction();
+            if (!isSelected) {
+                selectInteraction(trackNumber, interaction);
+            }
+            scheduleHistoryUpdate();
+        }
+
+        function selectInteraction(trackNumber, interaction) {
+            let partnerTrackNumber = getTrackNumber(interaction.protein);
+            selectedInteraction = {trackNumber: trackNumber, interaction: interaction};
+            selectInteractionPoint(trackNumber, interaction.id);
+            if (partnerTrackNumber < 0) {
+                return;
+            }
+            selectInteractionPoint(partnerTrackNumber, interaction.id);
+            let connectorPoints = [
+                {x: interaction.timePoint, y: tracks.length - trackNumber},
+                {x: interaction.timePoint, y: tracks.length - partnerTrackNumber}
+            ];
+            graphArea.insert("path", ".tracks")
+                .datum(connectorPoints)
+                .attr("d", drawTrackLine)
+                .attr("style", "stroke-width: " + settings.interactionPointRadius / 2 + "px;")
+                .classed("partnerConnector", true);
+        }
+
+        function selectInteractionPoint(trackNumber, id) {
+            graphArea.selectAll(".interactionPoint.track" + trackNumber)
+                .filter(function (d) {
+                    return d.id === id;
+                })
+                .classed("selected", true);
+        }
+
+        function clearSelectedInteraction() {
+            selectedInteraction = null;
+            graphArea.selectAll(".partnerConnector").remove();
+            graphArea.selectAll(".interactionPoint.selected").classed("selected", false);
+        }
+
+        function isDissociation(interaction) {
+            return interaction.type !== constants.eventType.BIND;
+        }
+
+        function addTrackInteractionLabels(trackGroup, trackNumber) {
+
+            let trackInteractions = tracks[trackNumber].interactions;
+
+            let interactionLabels = trackGroup
+                .selectAll(".interactionLabel")
+                .data(trackInteractions, getInteractionKey);
+
+            /*exit*/
+            interactionLabels.exit().remove();
+
+            /*enter*/
+            interactionLabels
+                .enter().append("text")
+                .style("text-anchor", "end")
+                .attr("x", getInteractionLabelX)
+                .attr("y", settings.yLabelOffset)
+                .text(getInteractionLabel)
+                .merge(interactionLabels)
+                /*update*/
+                .attr("class", "interactionLabel track" + trackNumber)
+                .attr("aria-hidden", "true");
+
+            function getInteractionLabel(d) {
+                return d.protein;
+            }
+        }
+
+        function getInteractionLabelX(d) {
+            return xScale(d.timePoint) + settings.interactionPointRadius;
+        }
+
+        let labelWidth = d3.local(),
+            expandedTrackNextSibling = d3.local();
+
+        /**
+         * lays out the interaction labels of every track, see layoutTrackLabels
+         * @param {object} [transition] if given labels move to their rows over it
+         */
+        function layoutInteractionLabels(transition) {
+            let trackGroups = trackArea.selectAll(".trackGroup").nodes();
+            trackGroups.forEach(function (trackGroup, i) {
+                layoutTrackLabels(d3.select(trackGroup), transition, trackGroups[i + 1]);
+            });
+        }
+
+        /**
+         * @param {object} trackGroup
+         * @param {object} [transition]
+         * @param {Element} [nextTrackGroup] the group of the track drawn below
+         */
+        function layoutTrackLabels(trackGroup, transition, nextTrackGroup) {
+            let trackNumber = tracks.indexOf(trackGroup.datum());
+            let nextTrackLabel = null;
+            if (nextTrackGroup) {
+                let nextTrackLabelText = d3.select(nextTrackGroup).select(".trackLabel");
+                if (!nextTrackLabelText.empty() && nextTrackLabelText.style("display") !== "none") {
+                    nextTrackLabel = {
+                        x: getTrackLabelX(nextTrackLabelText.datum()),
+                        width: labelWidth.get(nextTrackLabelText.node()) || labelWidth.set(nextTrackLabelText.node(), getTextWidth(nextTrackLabelText.node(), TRACK_LABEL_FONT_SCALE))
+                    };
+                }
+            }
+            let labels = trackGroup.selectAll(".interactionLabel")
+                .filter(function (d) {
+                    return isTimePointVisible(d.timePoint);
+                });
+            let layout = labels.nodes().map(function (labelText) {
+                let d = d3.select(labelText).datum();
+                let width = labelWidth.get(labelText) || labelWidth.set(labelText, getTextWidth(labelText, LABEL_FONT_SCALE));
+                return {data: d, x: getInteractionLabelX(d), width: width, row: -1};
+            });
+            let badges = getTrackLabelLayout(layout, nextTrackLabel);
+
+            withTransition(labels.style("visibility", function (d, i) {
+                return layout[i].row < 0 ? "hidden" : null;
+            }).classed("expanded", false), transition)
+                .attr("y", function (d, i) {
+                    return getLabelRowY(Math.max(0, layout[i].row));
+                });
+            drawLabelLeaders(trackGroup, trackNumber, layout.filter(function (label) {
+                return label.row > 0;
+            }), transition);
+            drawLabelBadges(trackGroup, trackNumber, badges, transition);
+        }
+
+        /**
+         * each label ends at its interaction point and takes the first row below the track where it overlaps neither a label already placed nor the next track's label
+         * labels pushed below the first row are joined to their point by a leader line, the number of rows is limited by the space between tracks
+         * labels that fit in no row are hidden and counted by a "+N" badge at their time point which shows them while it is hovered over
+         * labels are grouped by time point and placed in time order so each time point has at most one badge whatever order the labels are in
+         * @param {Array} labels [{data, x, width}], the row each label is placed in is set as its row (-1 if hidden)
+         * @param {object} [nextTrackLabel] {x, width} of the next track's label if it is shown
+         * @returns {Array} the badges [{timePoint, x, row, text, width, labels}] where labels are the data of the hidden labels
+         */
+        function getTrackLabelLayout(labels, nextTrackLabel) {
+            let rows = d3.range(getLabelRowCount()).map(function () {
+                return [];
+            });
+            if (nextTrackLabel) {
+                addNextTrackLabelToRows(rows, nextTrackLabel);
+            }
+            let badges = [];
+            labels.forEach(function (label) {
+                label.row = -1;
+            });
+            let labelsByTimePoint = d3.nest()
+                .key(function (label) {
+                    return label.data.timePoint;
+                })
+                .sortKeys(function (a, b) {
+                    return a - b;
+                })
+                .entries(labels);
+            labelsByTimePoint.forEach(function (entry) {
+                let timePointLabels = entry.values;
+                let placed = timePointLabels.filter(function (label) {
+                    return placeLabel(rows, label);
+                });
+                let hiddenCount = timePointLabels.length - placed.length;
+                if (hiddenCount) {
+                    let badge = {timePoint: timePointLabels[0].data.timePoint, x: timePointLabels[0].x, row: -1};
+                    setBadgeText(badge, hiddenCount);
+                    while (!placeLabel(rows, badge) && placed.length) {
+                        unplaceLabel(rows, placed.pop());
+                        setBadgeText(badge, ++hiddenCount);
+                    }
+                    badge.row = Math.max(0, badge.row);
+                    badge.labels = timePointLabels.filter(function (label) {
+                        return label.row < 0;
+                    }).map(function (label) {
+                        return label.data;
+                    });
+                    badges.push(badge);
+                }
+            });
+            return badges;
+        }
+
+        /**
+         * @returns {number} how many rows of labels fit between a track and the track below it
+         */
+        function getLabelRowCount() {
+            let trackSpacing = Math.abs(yScale(1) - yScale(0));
+            return 1 + Math.max(0, Math.floor((trackSpacing - settings.interactionPointRadius - settings.yLabelOffset) / settings.labelRowHeight));
+        }
+
+        function getLabelRowY(row) {
+            return settings.yLabelOffset + row * settings.labelRowHeight;
+        }
+
+        /**
+         * the next track's label is blocked out of every row it reaches down into
+         */
+        function addNextTrackLabelToRows(rows, nextTrackLabel) {
+            let trackSpacing = Math.abs(yScale(1) - yScale(0));
+            let labelTop = trackSpacing + settings.interactionLabelHeight / 2 - settings.interactionLabelHeight * TRACK_LABEL_FONT_SCALE;
+            rows.forEach(function (row, i) {
+                if (getLabelRowY(i) + settings.labelRowHeight - settings.interactionLabelHeight > labelTop) {
+                    row.push(nextTrackLabel);
+                }
+            });
+        }
+
+        /**
+         * puts the label in the first row where it does not overlap anything already there
+         * @returns {boolean} true if a row was found
+         */
+        function placeLabel(rows, label) {
+            let gap = settings.interactionLabelHeight / 2;
+            for (let row = 0; row < rows.length; row++) {
+                let isFree = rows[row].every(function (placed) {
+                    return label.x + gap <= placed.x - placed.width || label.x - label.width >= placed.x + gap;
+                });
+                if (isFree) {
+                    label.row = row;
+                    rows[row].push(label);
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        function unplaceLabel(rows, label) {
+            rows[label.row].splice(rows[label.row].indexOf(label), 1);
+            label.row = -1;
+        }
+
+        function setBadgeText(badge, hiddenCount) {
+            badge.text = "+" + hiddenCount;
+            badge.width = estimateTextWidth(badge.text, LABEL_FONT_SCALE);
+        }
+
+        /**
+         * leader lines run from an interaction point to the end of its label
+         */
+        function drawLabelLeaders(trackGroup, trackNumber, staggeredLabels, transition) {
+            let leaders = trackGroup.selectAll(".labelLeader")
+                .data(staggeredLabels, function (d) {
+                    return getInteractionKey(d.data);
+                });
+            leaders.exit().remove();
+            let enteredLeaders = leaders.enter()
+                .insert("line", ".interactionPoint")
+                .call(fadeIn, transition);
+            withTransition(enteredLeaders.merge(leaders)
+                .attr("class", "labelLeader track" + trackNumber), transition)
+                .attr("x1", function (d) {
+                    return xScale(d.data.timePoint);
+                })
+                .attr("y1", function (d) {
+                    return getInteractionPointY(d.data);
+                })
+                .attr("x2", function (d) {
+                    return d.x;
+                })
+                .attr("y2", function (d) {
+                    return getLabelRowY(d.row) - settings.interactionLabelHeight / 3;
+                });
+        }
+
+        function drawLabelBadges(trackGroup, trackNumber, badges, transition) {
+            let labelBadges = trackGroup.selectAll(".labelBadge")
+                .data(badges, getTimePoint);
+            labelBadges.exit().remove();
+            let enteredBadges = labelBadges.enter()
+                .append("text")
+                .style("text-anchor", "end")
+                .call(fadeIn, transition);
+            withTransition(enteredBadges.merge(labelBadges)
+                .attr("class", "labelBadge track" + trackNumber)
+                .text(function (d) {
+                    return d.text;
+                })
+                .on("mouseover", expandLabelBadge)
+                .on("mouseout", function () {
+                    collapseLabelBadge(this.parentNode);
+                }), transition)
+                .attr("x", function (d) {
+                    return d.x;
+                })
+                .attr("y", function (d) {
+                    return getLabelRowY(d.row);
+                });
+        }
+
+        /**
+         * shows the labels counted by a badge in a column below it, the track is raised above the tracks below while they are shown
+         */
+        function expandLabelBadge(badge) {
+            let trackGroup = this.parentNode;
+            expandedTrackNextSibling.set(trackGroup, trackGroup.nextSibling);
+            trackGroup.parentNode.appendChild(trackGroup);
+            d3.select(trackGroup).selectAll(".interactionLabel")
+                .filter(function (d) {
+                    return badge.labels.indexOf(d) >= 0;
+                })
+                .style("visibility", null)
+                .classed("expanded", true)
+                .attr("y", function (d, i) {
+                    return getLabelRowY(badge.row + i + 1);
+                });
+        }
+
+        function collapseLabelBadge(trackGroup) {
+            trackGroup.parentNode.insertBefore(trackGroup, expandedTrackNextSibling.get(trackGroup) || null);
+            let trackGroups = trackArea.selectAll(".trackGroup").nodes();
+            layoutTrackLabels(d3.select(trackGroup), null, trackGroups[trackGroups.indexOf(trackGroup) + 1]);
+        }
+
+        /**
+         * @param {Element} textElement an SVG text element in the document
+         * @param {number} fontScale the element's font size as a multiple of --baseTextHeight, used to estimate its width if it can not be measured
+         * @returns {number} the width in px of the element's text, taken from its bounding box once the browser has laid it out
+         */
+        function getTextWidth(textElement, fontScale) {
+            let width = typeof textElement.getBBox === "function" ? textElement.getBBox().width : 0;
+            return width || estimateTextWidth(textElement.textContent, fontScale);
+        }
+
+        function estimateTextWidth(text, fontScale) {
+            return settings.interactionLabelHeight * fontScale * text.length / settings.fontHeightWidthRatio;
+        }
+
+        /**
+         * measures text before the canvas is drawn in a hidden SVG that takes up no space in config.selector
+         * @returns {Array} the width in px of each of texts drawn with the class className
+         */
+        function measureTextWidths(texts, className, fontScale) {
+            let measureArea = d3.select(config.selector)
+                .append("svg")
+                .style("position", "absolute")
+                .style("visibility", "hidden")
+                .style("--baseTextHeight", settings.interactionLabelHeight);
+            let widths = texts.map(function (text) {
+                return getTextWidth(measureArea.append("text").attr("class", className).text(text).node(), fontScale);
+            });
+            measureArea.remove();
+            return widths;
+        }
+
+        function isTimePointShown(timePoint) {
+            let domain = xScale.domain();
+            return timePoint >= domain[0] && timePoint <= domain[1];
+        }
+
+        function isTrackShown(track) {
+            let domain = xScale.domain();
+            return !(d3.max(track.interactions, getTimePoint) < domain[0] || track.interactions[0].timePoint > domain[1]);
+        }
+
+        /**
+         * during playback only events up to playbackTimePoint are shown and paths are cut short at it
+         */
+        function isTimePointPlayed(timePoint) {
+            return playbackTimePoint === null || timePoint <= playbackTimePoint;
+        }
+
+        function getPlayedTimePoint(timePoint) {
+            return playbackTimePoint === null ? timePoint : Math.min(timePoint, playbackTimePoint);
+        }
+
+        function isTimePointVisible(timePoint) {
+            return isTimePointShown(timePoint) && isTimePointPlayed(timePoint);
+        }
+
+        function getTimePoint(d) {
+            return d.timePoint;
+        }
+
+        /**
+         * builds a scale for each of config.colorColumn, sizeColumn and shapeColumn that is set from the values in every loaded event
+         * numeric columns use d3.scaleSequential (color) or d3.scaleSqrt (size), other columns are categorical
+         * the size range depends on settings.interactionPointRadius so it is set in generateSettings
+         */
+        function buildEncodings() {
+            encodings = [];
+            addEncoding("color", config.colorColumn || (isComparing() ? COMPARISON_COLUMN : ""));
+            addEncoding("size", config.sizeColumn);
+            addEncoding("shape", config.shapeColumn);
+            let colorEncoding = getEncoding("color");
+            if (colorEncoding && colorEncoding.column === COMPARISON_COLUMN) {
+                setComparisonColors(colorEncoding);
+            }
+        }
+
+        /**
+         * comparison statuses keep their order and colors whichever of them are found in the data
+         */
+        function setComparisonColors(colorEncoding) {
+            let found = colorEncoding.scale.domain();
+            let statuses = getComparisonStatuses();
+            colorEncoding.scale
+                .domain(statuses.filter(function (status) {
+                    return found.indexOf(status) >= 0;
+                }))
+                .range(COMPARISON_COLORS.filter(function (color, i) {
+                    return found.indexOf(statuses[i]) >= 0;
+                }));
+        }
+
+        function addEncoding(channel, column) {
+            if (!column) {
+                return;
+            }
+            let values = d3.set(interactionEvents, function (event) {
+                return event[column];
+            }).values().filter(function (value) {
+                return value !== "" && value !== "undefined" && value !== "null";
+            });
+            let numeric = channel !== "shape" && values.length > 0 && values.every(function (value) {
+                return !isNaN(+value);
+            });
+            let domain = numeric ? d3.extent(values, Number) : values;
+            encodings.push({
+                channel: channel,
+                column: column,
+                numeric: numeric,
+                scale: getEncodingScale(channel, numeric).domain(domain)
+            });
+        }
+
+        function getEncodingScale(channel, numeric) {
+            if (channel === "color") {
+                return numeric ? d3.scaleSequential(d3.interpolateViridis) : d3.scaleOrdinal(d3.schemeCategory10);
+            } else if (channel === "size") {
+                return numeric ? d3.scaleSqrt() : d3.scalePoint();
+            }
+            return d3.scaleOrdinal(d3.symbols);
+        }
+
+        function getEncoding(channel) {
+            for (let i = 0; i < encodings.length; i++) {
+                if (encodings[i].channel === channel) {
+                    return encodings[i];
+                }
+            }
+            return null;
+        }
+
+        /**
+         * @returns the scaled value of an event's column for the channel or null if the channel is not used or the event has no value
+         */
+        function getEncodedValue(channel, event) {
+            let encoding = getEncoding(channel);
+            if (!encoding || !event) {
+                return null;
+            }
+            let value = event[encoding.column];
+            if (value === "" || value === undefined || value === null) {
+                return null;
+            }
+            return encoding.scale(encoding.numeric ? +value : String(value));
+        }
+
+        function setEncodingRanges() {
+            let sizeEncoding = getEncoding("size");
+            if (sizeEncoding) {
+                sizeEncoding.scale.range([settings.interactionPointRadius / 2, settings.interactionPointRadius * 1.5]);
+            }
+        }
+
+        function getEncodedColumns() {
+            return d3.set(encodings, function (encoding) {
+                return encoding.column;
+            }).values();
+        }
+
+        /**
+         * lays the legend out in lines below the time axis, each encoded column starts a new line with its name
+         * followed by a swatch and label for each category (or for a few values spread across a numeric column's range)
+         * a column used by several channels (eg color and size) gets one line whose swatches show all of them
+         * label widths are measured in the same way as settings.trackLabelWidth
+         * @returns {object} {items: [{encodings, value, text, x, line, title}], lineCount}
+         */
+        function getLegendLayout() {
+            let items = [],
+                line = -1;
+            let swatchWidth = getLegendLineHeight();
+            getEncodedColumns().forEach(function (column) {
+                let columnEncodings = encodings.filter(function (encoding) {
+                    return encoding.column === column;
+                });
+                let x = 0;
+                line++;
+                let columnItems = [{encodings: columnEncodings, text: column + ":", title: true}]
+                    .concat(getLegendValues(columnEncodings).map(function (legendValue) {
+                        return {encodings: columnEncodings, value: legendValue.value, text: legendValue.text, title: false};
+                    }));
+                let textWidths = measureTextWidths(columnItems.map(function (item) {
+                    return item.text;
+                }), "legendLabel", LABEL_FONT_SCALE);
+                columnItems.forEach(function (item, i) {
+                    let width = (item.title ? 0 : swatchWidth) + textWidths[i] + estimateTextWidth("  ", LABEL_FONT_SCALE);
+                    if (x > 0 && x + width > settings.innerWidth) {
+                        x = 0;
+                        line++;
+                    }
+                    item.x = x;
+                    item.line = line;
+                    items.push(item);
+                    x += width;
+                });
+            });
+            return {items: items, lineCount: line + 1};
+        }
+
+        /**
+         * categories are listed if any channel treats the column as categorical otherwise a few round values across its range are shown
+         * @returns {Array} [{value, text}]
+         */
+        function getLegendValues(columnEncodings) {
+            let categorical = columnEncodings.filter(function (encoding) {
+                return !encoding.numeric;
+            })[0];
+            if (categorical) {
+                return categorical.scale.domain().map(function (value) {
+                    return {value: value, text: value};
+                });
+            }
+            let domain = columnEncodings[0].scale.domain();
+            let values = d3.ticks(domain[0], domain[1], 4);
+            let format = d3.format("." + d3.precisionFixed(d3.tickStep(domain[0], domain[1], 4)) + "f");
+            return (values.length ? values : domain).map(function (value) {
+                return {value: value, text: format(value)};
+            });
+        }
+
+        function getLegendLineHeight() {
+            return settings.interactionLabelHeight * 1.5;
+        }
+
+        function drawLegend() {
+            if (!encodings.length) {
+                return;
+            }
+            let lineHeight = getLegendLineHeight();
+            let legend = graphArea.append("g")
+                .classed("legend", true)
+                .attr("transform", "translate(0," + (settings.innerHeight + settings.timeAxisHeight) + ")");
+            let legendItems = legend.selectAll(".legendItem")
+                .data(getLegendLayout().items)
+                .enter()
+                .append("g")
+                .classed("legendItem", true)
+                .attr("transform", function (d) {
+                    return "translate(" + d.x + "," + (d.line + 0.5) * lineHeight + ")";
+                });
+            legendItems.filter(function (d) {
+                return !d.title;
+            }).each(drawLegendSwatch);
+            legendItems.append("text")
+                .classed("legendLabel", true)
+                .classed("legendTitle", function (d) {
+                    return d.title;
+                })
+                .attr("x", function (d) {
+                    return d.title ? 0 : lineHeight;
+                })
+                .attr("y", settings.interactionLabelHeight / 2)
+                .text(function (d) {
+                    return d.text;
+                });
+        }
+
+        /**
+         * a swatch shows its value for each channel using the column, other channels keep their default look
+         * swatches are scaled down to fit the legend line with sizes kept in proportion to the interaction points
+         */
+        function drawLegendSwatch(d) {
+            let maxRadius = getLegendLineHeight() / 2;
+            let radius = maxRadius * 2 / 3;
+            let symbolType = d3.symbolCircle;
+            let swatch = d3.select(this)
+                .append("path")
+                .classed("legendSwatch", true)
+                .attr("transform", "translate(" + maxRadius + ",0)");
+            d.encodings.forEach(function (encoding) {
+                let encodedValue = encoding.scale(encoding.numeric ? +d.value : d.value);
+                if (encoding.channel === "size") {
+                    radius = maxRadius * encodedValue / (settings.interactionPointRadius * 1.5);
+                } else if (encoding.channel === "shape") {
+                    symbolType = encodedValue;
+                } else {
+                    swatch.style("fill", encodedValue)
+                        .style("stroke", encodedValue);
+                }
+            });
+            swatch.attr("d", d3.symbol()
+                .type(symbolType)
+                .size(Math.PI * radius * radius)
+            );
+        }
+
+        function drawTimeAxis() {
+            let path = graphArea.append("path");
+            let span = xScale.domain();
+            let maxTimePoint = span[1];
+            let timeAxisData =
+                [
+                    {x: xScale(span[0]), y: yScale(0)},
+                    {x: xScale(span[1]), y: yScale(0)},
+                    {x: xScale(span[1]), y: yScale(0) + settings.interactionPointRadius / 4},
+                    {x: xScale(span[1]) + settings.interactionPointRadius / 2, y: yScale(0)},
+                    {x: xScale(span[1]), y: yScale(0) - settings.interactionPointRadius / 4},
+                    {x: xScale(span[1]), y: yScale(0)}
+                ];
+            path.attr("d", drawTimeAxisLine(timeAxisData))
+                .attr("style", "stroke-width: " + settings.interactionPointRadius / 2 + "px;")
+                .classed("timeAxis", true);
+            addTimeAxisLabel(
+                xScale(maxTimePoint) - settings.interactionPointRadius,
+                yScale(0) - settings.yLabelOffset + settings.interactionPointRadius * 2
+            );
+            timeAxisTicks = graphArea.append("g")
+                .classed("timeAxisTicks", true)
+                .attr("transform", "translate(0," + yScale(0) + ")");
+            drawTimeAxisTicks();
+        }
+
+        /**
+         * ticks are placed at every time point in the time range shown unless they would be too crowded to read
+         */
+        function drawTimeAxisTicks() {
+            let maxTickCount = Math.max(2, Math.floor(settings.innerWidth / (settings.interactionLabelHeight * 3)));
+            let tickValues = getTimePoints().filter(isTimePointShown);
+            let ticksAreTimePoints = tickValues.length <= maxTickCount;
+            if (!ticksAreTimePoints) {
+                tickValues = config.timeType === constants.timeType.ORDINAL ?
+                    xScale.ticks(maxTickCount).filter(Number.isInteger) :
+                    null;
+            }
+            timeAxisTicks.call(
+                d3.axisBottom(xScale)
+                    .tickValues(tickValues)
+                    .tickFormat(getTimeTickFormat(ticksAreTimePoints))
+                    .tickSizeOuter(0)
+                    .tickSize(settings.interactionPointRadius / 2)
+                    .tickPadding(settings.interactionPointRadius / 2)
+            );
+        }
+
+        /**
+         * when no config.timeTickFormat is set "date" ticks and "numeric" ticks that are not at the data's time points use the scale's own formatting
+         */
+        function getTimeTickFormat(ticksAreTimePoints) {
+            if (config.timeType === constants.timeType.ORDINAL || config.timeTickFormat) {
+                return formatTimePoint;
+            }
+            if (config.timeType === constants.timeType.NUMERIC && ticksAreTimePoints) {
+                return formatTimePoint;
+            }
+            return null;
+        }
+
+        /**
+         * @returns {Array} the distinct time points of the displayed tracks in time order
+         */
+        function getTimePoints() {
+            let timePoints = d3.set();
+            tracks.forEach(function (track) {
+                track.interactions.forEach(function (interaction) {
+                    timePoints.add(interaction.timePoint);
+                });
+            });
+            return timePoints.values()
+                .map(Number)
+                .sort(function (a, b) {
+                    return a - b;
+                });
+        }
+
+        /**
+         * zooming and panning rescales xScale from baseXScale (the full time span) and keeps the brush in step
+         * the brush strip below the time axis shows every time point of the full span and selecting a range zooms to it
+         */
+        function setupTimeZoom() {
+            if (config.timeZoom !== "true") {
+                return;
+            }
+            let extent = [[0, 0], [settings.innerWidth, settings.innerHeight]];
+            timeZoom = d3.zoom()
+                .scaleExtent([1, getMaxTimeZoom()])
+                .translateExtent(extent)
+                .extent(extent)
+                .on("zoom", timeZoomed);
+            graphArea.call(timeZoom);
+
+            timeBrush = d3.brushX()
+                .extent([[0, 0], [settings.innerWidth, settings.brushHeight]])
+                .on("brush end", timeBrushed);
+            timeBrushArea = graphArea.append("g")
+                .classed("timeBrush", true)
+                .attr("transform", "translate(0," + (settings.innerHeight + settings.timeAxisHeight + settings.legendHeight) + ")");
+            drawTimeBrushPoints();
+            timeBrushArea.call(timeBrush)
+                .call(timeBrush.move, baseXScale.range());
+        }
+
+        function drawTimeBrushPoints() {
+            let timeBrushPoints = timeBrushArea.selectAll(".timeBrushPoint")
+                .data(getTimePoints());
+            timeBrushPoints.exit().remove();
+            timeBrushPoints.enter()
+                .insert("line", ".overlay")
+                .classed("timeBrushPoint", true)
+                .attr("y1", 0)
+                .attr("y2", settings.brushHeight)
+                .merge(timeBrushPoints)
+                .attr("x1", baseXScale)
+                .attr("x2", baseXScale);
+        }
+
+        /**
+         * shows the full time span again after the tracks are refiltered, the zoom and brush are moved without their events
+         * so the time positions can be redrawn over a transition
+         */
+        function resetTimeZoom() {
+            xScale.domain(baseXScale.domain());
+            if (!timeZoom) {
+                return;
+            }
+            timeZoom.on("zoom", null)
+                .scaleExtent([1, getMaxTimeZoom()]);
+            graphArea.call(timeZoom.transform, d3.zoomIdentity);
+            timeZoom.on("zoom", timeZoomed);
+            timeBrush.on("brush end", null);
+            timeBrushArea.call(timeBrush.move, baseXScale.range());
+            timeBrush.on("brush end", timeBrushed);
+            drawTimeBrushPoints();
+        }
+
+        /**
+         * allows zooming in until the smallest gap between two time points fills the time axis
+         */
+        function getMaxTimeZoom() {
+            let timePoints = getTimePoints();
+            let smallestGap = d3.min(d3.pairs(timePoints), function (pair) {
+                return pair[1] - pair[0];
+            });
+            return smallestGap ? Math.max(1, (xSpan[1] - xSpan[0]) / smallestGap) : 1;
+        }
+
+        function timeZoomed() {
+            if (d3.event.sourceEvent && d3.event.sourceEvent.type === "brush") {
+                return;
+            }
+            xScale.domain(d3.event.transform.rescaleX(baseXScale).domain());
+            redrawTimePositions();
+            timeBrushArea.call(timeBrush.move, xScale.range().map(d3.event.transform.invertX, d3.event.transform));
+        }
+
+        function timeBrushed() {
+            if (d3.event.sourceEvent && d3.event.sourceEvent.type === "zoom") {
+                return;
+            }
+            let selection = d3.event.selection || baseXScale.range();
+            if (!d3.event.selection) {
+                timeBrushArea.call(timeBrush.move, selection);
+            }
+            setTimeZoomTransform(selection);
+        }
+
+        function setTimeDomain(timeRange) {
+            if (timeZoom) {
+                setTimeZoomTransform(timeRange.map(baseXScale));
+            } else {
+                xScale.domain(timeRange);
+                redrawTimePositions();
+            }
+        }
+
+        /**
+         * applies the zoom transform that shows the pixel range of baseXScale given by selection
+         * the zoom event this causes redraws the time positions
+         */
+        function setTimeZoomTransform(selection) {
+            let scale = settings.innerWidth / Math.max(1, selection[1] - selection[0]);
+            graphArea.call(timeZoom.transform, d3.zoomIdentity.scale(scale).translate(-selection[0], 0));
+        }
+
+        /**
+         * moves everything positioned by time to match the time range currently shown by xScale and the playback time point
+         * points and labels outside the range or not yet played are hidden, xScale is clamped so paths stop at the ends of the time axis
+         * @param {number} [duration] if given paths grow and newly shown elements fade in over a transition of this many ms
+         */
+        function redrawTimePositions(duration) {
+            drawTimePositions(duration ? graphArea.transition().duration(duration) : null);
+        }
+
+        /**
+         * @param {object} [transition] the transition used by redrawTimePositions, refiltering shares its transition with the tracks being moved, added and removed
+         */
+        function drawTimePositions(transition) {
+            let trackPaths = graphArea.selectAll(".interactionPath, .freePath")
+                .call(setDisplay, function (d) {
+                    return isTimePointPlayed(d[0].x);
+                }, transition);
+            withTransition(trackPaths, transition)
+                .attr("d", drawTrackSegmentLine);
+            let connectors = graphArea.selectAll(".complexMerge, .partnerConnector")
+                .call(setDisplay, function (d) {
+                    return isTimePointVisible(d[0].x);
+                }, transition);
+            withTransition(connectors, transition)
+                .attr("d", drawTrackLine);
+            let interactionPoints = graphArea.selectAll(".interactionPoint")
+                .call(setDisplay, function (d) {
+                    return isTimePointVisible(d.timePoint);
+                }, transition);
+            positionInteractionPoints(withTransition(interactionPoints, transition));
+            let interactionLabels = graphArea.selectAll(".interactionLabel")
+                .call(setDisplay, function (d) {
+                    return isTimePointVisible(d.timePoint);
+                }, transition);
+            withTransition(interactionLabels, transition)
+                .attr("x", getInteractionLabelX);
+            layoutInteractionLabels(transition);
+            let trackLabels = graphArea.selectAll(".trackLabel")
+                .call(setDisplay, function (d) {
+                    return isTrackShown(d) && isTimePointPlayed(d.interactions[0].timePoint);
+                }, transition);
+            withTransition(trackLabels, transition)
+                .attr("x", getTrackLabelX);
+            if (isDrawingTrackCanvas()) {
+                drawTrackCanvas();
+            }
+            drawTimeAxisTicks();
+            updateNetwork();
+            drawFocusRing();
+            scheduleHistoryUpdate();
+        }
+
+        function withTransition(selection, transition) {
+            return transition ? selection.transition(transition) : selection;
+        }
+
+        /**
+         * shows the elements where isVisible is true and hides the rest, elements being shown again fade in over the transition
+         */
+        function setDisplay(selection, isVisible, transition) {
+            selection.each(function (d) {
+                let element = d3.select(this);
+                let wasHidden = element.style("display") === "none";
+                element.style("display", isVisible(d) ? null : "none");
+                if (wasHidden && isVisible(d) && transition) {
+                    element.attr("opacity", 0)
+                        .transition(transition)
+                        .attr("opacity", 1)
+                        .on("end", function () {
+                            d3.select(this).attr("opacity", null);
+                        });
+                }
+            });
+        }
+
+        function serializeCanvas() {
+            return getStandaloneSVG();
+        }
+
+        /**
+         * styles are copied from the live SVG so CSS variables such as --trackColor and --baseTextHeight are resolved
+         * hidden elements are dropped and a background rect is added if the page gives the SVG a background color
+         */
+        function getStandaloneSVG() {
+            let svg = canvasArea.node();
+            if (trackCanvas) {
+                drawSVGTracks();
+            }
+            let exportedSVG = svg.cloneNode(true);
+            inlineComputedStyles(svg, exportedSVG, config.exportFontFamily);
+            if (trackCanvas) {
+                removeSVGTracks();
+            }
+            let exported = d3.select(exportedSVG)
+                .attr("xmlns", d3.namespaces.svg)
+                .attr("version", "1.1");
+            exported.selectAll(EXPORT_EXCLUDED_SELECTOR).remove();
+            exported.selectAll("*")
+                .filter(function () {
+                    return this.style.display === "none";
+                })
+                .remove();
+            let backgroundColor = window.getComputedStyle(svg).backgroundColor;
+            if (backgroundColor && backgroundColor !== "transparent" && backgroundColor !== "rgba(0, 0, 0, 0)") {
+                exported.insert("rect", ":first-child")
+                    .attr("width", settings.outerWidth)
+                    .attr("height", settings.outerHeight)
+                    .attr("fill", backgroundColor);
+            }
+            if (config.exportFontFace) {
+                exported.insert("defs", ":first-child")
+                    .append("style")
+                    .attr("type", "text/css")
+                    .text(config.exportFontFace);
+            }
+            return serializeSVG(exportedSVG);
+        }
+
+        function setupExportButtons() {
+            if (config.exportButtons !== "true") {
+                return;
+            }
+            exportButtons = d3.select(config.selector)
+                .append("div")
+                .classed("exportButtons", true);
+            exportButtons.append("button")
+                .classed("exportSVG", true)
+                .text("SVG")
+                .on("click", function () {
+                    downloadBlob(new Blob([getStandaloneSVG()], {type: "image/svg+xml;charset=utf-8"}), config.exportFileName + ".svg");
+                });
+            exportButtons.append("button")
+                .classed("exportPNG", true)
+                .text("PNG")
+                .on("click", function () {
+                    chart.exportPNG({scale: 2})
+                        .then(function (blob) {
+                            downloadBlob(blob, config.exportFileName + ".png");
+                        })
+                        .catch(toConsoleError);
+                });
+            exportButtons.selectAll(".exportSummary")
+                .data(SUMMARY_EXPORT_BUTTONS)
+                .enter()
+                .append("button")
+                .classed("exportSummary", true)
+                .text(function (d) {
+                    return d.text;
+                })
+                .on("click", function (d) {
+                    downloadBlob(new Blob([exportSummary(d.format, d.table)], {type: SUMMARY_MIME_TYPES[d.format]}),
+                        config.exportFileName + (d.table ? "-" + d.table : "") + "." + d.format);
+                });
+        }
+
+        /**
+         * summarises the tracks drawn, so filters and config settings that change the tracks change the summary
+         * @returns {object} {proteins, timePoints, edges} see chart.getSummary
+         */
+        function getSummary() {
+            let graph = getInteractionGraph();
+            let proteins = Object.create(null);
+            graph.nodes.forEach(function (node) {
+                proteins[node.protein] = {protein: node.protein, hasTrack: node.hasTrack, degree: 0, interactionCount: 0, firstTimePoint: null, lastTimePoint: null, partners: []};
+            });
+            graph.edges.forEach(function (edge) {
+                [[edge.source, edge.target], [edge.target, edge.source]].forEach(function (pair) {
+                    let summary = proteins[pair[0]];
+                    summary.partners.push(pair[1]);
+                    summary.interactionCount += edge.count;
+                    summary.firstTimePoint = summary.firstTimePoint === null ? edge.firstTimePoint : Math.min(summary.firstTimePoint, edge.firstTimePoint);
+                    summary.lastTimePoint = summary.lastTimePoint === null ? edge.lastTimePoint : Math.max(summary.lastTimePoint, edge.lastTimePoint);
+                });
+            });
+            return {
+                proteins: d3.values(proteins).map(function (summary) {
+                    summary.degree = summary.partners.length;
+                    summary.partners.sort(d3.ascending);
+                    return summary;
+                }).sort(function (a, b) {
+                    return d3.descending(a.degree, b.degree) || d3.ascending(a.protein, b.protein);
+                }),
+                timePoints: getTimePointSummaries(graph.edges),
+                edges: graph.edges.sort(function (a, b) {
+                    return d3.ascending(a.firstTimePoint, b.firstTimePoint) || d3.ascending(a.source, b.source) || d3.ascending(a.target, b.target);
+                })
+            };
+        }
+
+        /**
+         * @returns {Array} [{timePoint, activeProteins, interactionCount, newInteractions}] for each time point of the tracks drawn
+         * where activeProteins counts the proteins with an event at the time point and newInteractions the pairs of partners first seen at it
+         */
+        function getTimePointSummaries(edges) {
+            let timePoints = Object.create(null);
+            getTimePoints().forEach(function (timePoint) {
+                timePoints[timePoint] = {timePoint: timePoint, proteins: d3.set(), eventIds: d3.set(), newInteractions: 0};
+            });
+            tracks.forEach(function (track) {
+                track.interactions.forEach(function (interaction) {
+                    let summary = timePoints[interaction.timePoint];
+                    summary.proteins.add(track.protein).add(interaction.protein);
+                    summary.eventIds.add(interaction.id);
+                });
+            });
+            edges.forEach(function (edge) {
+                timePoints[edge.firstTimePoint].newInteractions++;
+            });
+            return getTimePoints().map(function (timePoint) {
+                let summary = timePoints[timePoint];
+                return {
+                    timePoint: timePoint,
+                    activeProteins: summary.proteins.size(),
+                    interactionCount: summary.eventIds.size(),
+                    newInteractions: summary.newInteractions
+                };
+            });
+        }
+
+        /**
+         * exported time points are formatted as in the tooltips so they read as they do in the data, numbers that need no formatting are left as numbers
+         * @param {string} format - one of constants.summaryFormat
+         * @param {string} [table] - one of constants.summaryTable, required for "csv", "json" exports the whole summary if not given
+         * @returns {string}
+         */
+        function exportSummary(format, table) {
+            let summary = getSummary();
+            let timeColumns = ["timePoint", "firstTimePoint", "lastTimePoint"];
+            d3.values(summary).forEach(function (rows) {
+                rows.forEach(function (row) {
+                    timeColumns.forEach(function (column) {
+                        if (column in row && row[column] !== null) {
+                            let formatted = formatTimePoint(row[column]);
+                            row[column] = formatted === String(row[column]) ? row[column] : formatted;
+                        }
+                    });
+                });
+            });
+            if (format === constants.summaryFormat.GRAPHML) {
+                return getSummaryGraphML(summary);
+            }
+            if (table && !isConstantValue(constants.summaryTable, table)) {
+                throw "Summary table " + table + " is not one of " + d3.values(constants.summaryTable).join(", ");
+            }
+            if (format === constants.summaryFormat.JSON) {
+                return JSON.stringify(table ? summary[table] : summary, null, 2);
+            }
+            if (format === constants.summaryFormat.CSV && table) {
+                return d3.csvFormat(summary[table].map(function (row) {
+                    return row.partners ? Object.assign({}, row, {partners: row.partners.join(";")}) : row;
+                }), SUMMARY_COLUMNS[table]);
+            }
+            throw "Summary format " + format + " is not one of " + d3.values(constants.summaryFormat).join(", ") + " or has no table";
+        }
+
+        /**
+         * a GraphML graph of the proteins and edges with the summary's columns as node and edge data
+         */
+        function getSummaryGraphML(summary) {
+            let keys = [];
+            let lines = [];
+            [["node", "proteins"], ["edge", "edges"]].forEach(function (element) {
+                SUMMARY_COLUMNS[element[1]].forEach(function (column) {
+                    if (column !== "protein" && column !== "source" && column !== "target") {
+                        keys.push({id: element[0] + "_" + column, element: element[0], name: column, type: GRAPHML_TYPES[column] || "string"});
+                    }
+                });
+            });
+            lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+            lines.push('<graphml xmlns="http://graphml.graphdrawing.org/xmlns">');
+            keys.forEach(function (key) {
+                lines.push('  <key id="' + key.id + '" for="' + key.element + '" attr.name="' + key.name + '" attr.type="' + key.type + '"/>');
+            });
+            lines.push('  <graph id="' + escapeXML(config.exportFileName) + '" edgedefault="undirected">');
+            summary.proteins.forEach(function (protein) {
+                lines.push('    <node id="' + escapeXML(protein.protein) + '">' + getGraphMLData(keys, "node", protein) + '</node>');
+            });
+            summary.edges.forEach(function (edge) {
+                lines.push('    <edge source="' + escapeXML(edge.source) + '" target="' + escapeXML(edge.target) + '">' + getGraphMLData(keys, "edge", edge) + '</edge>');
+            });
+            lines.push('  </graph>');
+            lines.push('</graphml>');
+            return lines.join("\n");
+        }
+
+        function getGraphMLData(keys, element, row) {
+            return keys.filter(function (key) {
+                return key.element === element && row[key.name] !== null;
+            }).map(function (key) {
+                let value = Array.isArray(row[key.name]) ? row[key.name].join(";") : row[key.name];
+                return '<data key="' + key.id + '">' + escapeXML(String(value)) + '</data>';
+            }).join("");
+        }
+
+        function seekPlayback(timePoint, duration) {
+            playbackTimePoint = timePoint;
+            networkTimePoint = null;
+            redrawTimePositions(duration);
+            updatePlaybackControls();
+        }
+
+        function stepPlayback(steps) {
+            let timePoints = getTimePoints();
+            let position = playbackTimePoint === null ?
+                timePoints.length - 1 :
+                d3.bisectRight(timePoints, playbackTimePoint) - 1;
+            position = Math.max(0, Math.min(timePoints.length - 1, position + steps));
+            seekPlayback(timePoints[position], config.playbackInterval / 2);
+        }
+
+        function startPlayback() {
+            let timePoints = getTimePoints();
+            if (playbackTimer) {
+                return;
+            }
+            if (playbackTimePoint === null || playbackTimePoint >= timePoints[timePoints.length - 1]) {
+                seekPlayback(timePoints[0], 0);
+            }
+            playbackTimer = d3.interval(function () {
+                stepPlayback(1);
+                if (playbackTimePoint >= timePoints[timePoints.length - 1]) {
+                    stopPlayback();
+                }
+            }, config.playbackInterval);
+            updatePlaybackControls();
+        }
+
+        function stopPlayback() {
+            if (playbackTimer) {
+                playbackTimer.stop();
+            }
+            playbackTimer = null;
+            updatePlaybackControls();
+        }
+
+        /**
+         * the controls are html elements appended below the SVG canvas in config.selector
+         * the slider moves through the index of each time point so uneven gaps step the same distance
+         */
+        function setupPlaybackControls() {
+            if (config.playbackControls !== "true") {
+                return;
+            }
+            let timePoints = getTimePoints();
+            playbackControls = d3.select(config.selector)
+                .append("div")
+                .classed("playbackControls", true);
+            playbackControls.append("button")
+                .classed("playbackStepBack", true)
+                .text("<")
+                .on("click", function () {
+                    stopPlayback();
+                    stepPlayback(-1);
+                });
+            playbackControls.append("button")
+                .classed("playbackPlay", true)
+                .on("click", function () {
+                    if (playbackTimer) {
+                        stopPlayback();
+                    } else {
+                        startPlayback();
+                    }
+                });
+            playbackControls.append("button")
+                .classed("playbackStepForward", true)
+                .text(">")
+                .on("click", function () {
+                    stopPlayback();
+                    stepPlayback(1);
+                });
+            playbackControls.append("input")
+                .classed("playbackSlider", true)
+                .attr("type", "range")
+                .attr("min", 0)
+                .attr("max", timePoints.length - 1)
+                .attr("step", 1)
+                .on("input", function () {
+                    stopPlayback();
+                    seekPlayback(getTimePoints()[+this.value], 0);
+                });
+            playbackControls.append("span")
+                .classed("playbackTimePoint", true);
+            updatePlaybackControls();
+        }
+
+        function updatePlaybackControls() {
+            if (!playbackControls) {
+                return;
+            }
+            let timePoints = getTimePoints();
+            let shownTimePoint = playbackTimePoint === null ? timePoints[timePoints.length - 1] : playbackTimePoint;
+            playbackControls.select(".playbackPlay")
+                .text(playbackTimer ? "Pause" : "Play");
+            playbackControls.select(".playbackSlider")
+                .attr("max", timePoints.length - 1)
+                .property("value", Math.max(0, d3.bisectRight(timePoints, shownTimePoint) - 1));
+            playbackControls.select(".playbackTimePoint")
+                .text(config.timePointColumn + ": " + formatTimePoint(shownTimePoint));
+        }
+
+        function getEmptyFilters() {
+            return {search: "", include: [], exclude: [], timeRange: null};
+        }
+
+        function setFilters(newFilters) {
+            if (!newFilters) {
+                filters = getEmptyFilters();
+                return;
+            }
+            if ("minimumInteractionCount" in newFilters) {
+                if (!(newFilters.minimumInteractionCount >= 1)) {
+                    throw "Filter minimumInteractionCount settings are invalid";
+                }
+                config.minimumInteractionCount = +newFilters.minimumInteractionCount;
+            }
+            if ("removeDuplicateInteractions" in newFilters) {
+                config.removeDuplicateInteractions = String(newFilters.removeDuplicateInteractions);
+            }
+            if ("search" in newFilters) {
+                filters.search = String(newFilters.search || "").trim();
+            }
+            if ("include" in newFilters) {
+                filters.include = getProteinList(newFilters.include);
+            }
+            if ("exclude" in newFilters) {
+                filters.exclude = getProteinList(newFilters.exclude);
+            }
+            if ("timeRange" in newFilters) {
+                filters.timeRange = getFilterTimeRange(newFilters.timeRange);
+            }
+        }
+
+        /**
+         * @returns {Array} [start, end] as numbers with null for an open end, or null if neither end is set
+         */
+        function getFilterTimeRange(timeRange) {
+            let ends = (timeRange || []).slice(0, 2).map(function (end) {
+                return end === null || end === undefined || end === "" || isNaN(+end) ? null : +end;
+            });
+            return ends.length === 2 && (ends[0] !== null || ends[1] !== null) ? ends : null;
+        }
+
+        /**
+         * events with an excluded protein or outside the time range are left out before the tracks are built
+         */
+        function isEventIncluded(event) {
+            if (filters.exclude.length &&
+                (filters.exclude.indexOf(event[config.proteinAColumn]) >= 0 || filters.exclude.indexOf(event[config.proteinBColumn]) >= 0)) {
+                return false;
+            }
+            if (filters.timeRange) {
+                let timePoint = getEventTimePoint(event);
+                if ((filters.timeRange[0] !== null && timePoint < filters.timeRange[0]) ||
+                    (filters.timeRange[1] !== null && timePoint > filters.timeRange[1])) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * the include list and search only hide tracks, their proteins' events are still shown on their partners' tracks
+         */
+        function isProteinShown(protein) {
+            if (filters.include.length && filters.include.indexOf(protein) < 0) {
+                return false;
+            }
+            return !filters.search || protein.toLowerCase().indexOf(filters.search.toLowerCase()) >= 0;
+        }
+
+        /**
+         * rebuilds the tracks from the loaded events and redraws them over a transition
+         * the settings (sizes) are kept from the last draw() so only the y scale and time span change
+         */
+        function refilterTracks() {
+            let trackState = getTrackState();
+            try {
+                clearTracks();
+                convertInteractionEventsToTracks();
+                setEncodingRanges();
+            } catch (error) {
+                setTrackState(trackState);
+                toConsoleError(error);
+                lifecycle.call("error", chart, error);
+                return null;
+            }
+            let transition = graphArea.transition().duration(FILTER_TRANSITION_DURATION);
+            stopPlayback();
+            playbackTimePoint = null;
+            networkTimePoint = null;
+            focusedPoint = null;
+            clearSelectedInteraction();
+            clearHighlightedTracks();
+            hideTooltip();
+            notifyTracksBuilt();
+            updateTrackScales();
+            drawComplexMerges(transition);
+            drawTracks(transition);
+            drawTimePositions(transition);
+            drawNetwork();
+            describeChart();
+            updateDataTable();
+            updatePlaybackControls();
+            updateFilterControls();
+            return notifyRendered();
+        }
+
+        function updateTrackScales() {
+            ySpan = getTrackSpan();
+            yScale.domain(ySpan);
+            if (tracks.length) {
+                xSpan = getTimePointSpan();
+                baseXScale.domain(xSpan);
+            }
+            resetTimeZoom();
+        }
+
+        /**
+         * the controls are html elements appended below the SVG canvas in config.selector
+         * the search filters as it is typed, the other text boxes when they are changed
+         */
+        function setupFilterControls() {
+            if (config.filterControls !== "true") {
+                return;
+            }
+            filterControls = d3.select(config.selector)
+                .append("div")
+                .classed("filterControls", true);
+            addFilterControl("filterSearch", "Search", "search")
+                .attr("placeholder", "protein")
+                .on("input", function () {
+                    applyControlFilter({search: this.value});
+                });
+            addFilterControl("filterInclude", "Only", "text")
+                .attr("placeholder", "proteins, comma separated")
+                .on("change", function () {
+                    applyControlFilter({include: this.value});
+                });
+            addFilterControl("filterExclude", "Exclude", "text")
+                .attr("placeholder", "proteins, comma separated")
+                .on("change", function () {
+                    applyControlFilter({exclude: this.value});
+                });
+            addFilterControl("filterTimeStart", config.timePointColumn + " from", "text")
+                .on("change", filterTimeRange);
+            addFilterControl("filterTimeEnd", "to", "text")
+                .on("change", filterTimeRange);
+            addFilterControl("filterMinimumInteractionCount", "Minimum interactions", "range")
+                .attr("min", 1)
+                .attr("max", getMaxInteractionCount())
+                .attr("step", 1)
+                .on("input", function () {
+                    applyControlFilter({minimumInteractionCount: +this.value});
+                });
+            filterControls.select(".filterMinimumInteractionCount")
+                .append("span")
+                .classed("filterValue", true);
+            addFilterControl("filterRemoveDuplicates", "Remove duplicates", "checkbox")
+                .on("change", function () {
+                    applyControlFilter({removeDuplicateInteractions: this.checked ? "true" : "false"});
+                });
+            updateFilterControls();
+        }
+
+        /**
+         * @returns {object} the control's input inside a label with the control's class
+         */
+        function addFilterControl(className, labelText, type) {
+            return filterControls.append("label")
+                .classed(className, true)
+                .text(labelText + " ")
+                .append("input")
+                .attr("type", type);
+        }
+
+        /**
+         * errors thrown in the controls' event handlers would not be caught so they are sent to "error" handlers and the controls reset to the filters applied
+         */
+        function applyControlFilter(controlFilters) {
+            try {
+                chart.filter(controlFilters);
+            } catch (error) {
+                toConsoleError(error);
+                lifecycle.call("error", chart, error);
+                updateFilterControls();
+            }
+        }
+
+        function filterTimeRange() {
+            applyControlFilter({
+                timeRange: [".filterTimeStart", ".filterTimeEnd"].map(function (selector) {
+                    let value = filterControls.select(selector + " input").property("value").trim();
+                    return value ? parseTimePoint(value) : null;
+                })
+            });
+        }
+
+        function updateFilterControls() {
+            if (!filterControls) {
+                return;
+            }
+            filterControls.select(".filterSearch input").property("value", filters.search);
+            filterControls.select(".filterInclude input").property("value", filters.include.join(", "));
+            filterControls.select(".filterExclude input").property("value", filters.exclude.join(", "));
+            filterControls.select(".filterTimeStart input").property("value",
+                filters.timeRange && filters.timeRange[0] !== null ? formatTimePoint(filters.timeRange[0]) : "");
+            filterControls.select(".filterTimeEnd input").property("value",
+                filters.timeRange && filters.timeRange[1] !== null ? formatTimePoint(filters.timeRange[1]) : "");
+            filterControls.select(".filterMinimumInteractionCount input").property("value", config.minimumInteractionCount);
+            filterControls.select(".filterMinimumInteractionCount .filterValue").text(config.minimumInteractionCount);
+            filterControls.select(".filterRemoveDuplicates input").property("checked", config.removeDuplicateInteractions === "true");
+        }
+
+        /**
+         * @returns {number} the most events any protein in the loaded data is involved in
+         */
+        function getMaxInteractionCount() {
+            let counts = Object.create(null);
+            interactionEvents.forEach(function (event) {
+                d3.set([event[config.proteinAColumn], event[config.proteinBColumn]]).values().forEach(function (protein) {
+                    counts[protein] = (counts[protein] || 0) + 1;
+                });
+            });
+            return d3.max(d3.values(counts)) || 1;
+        }
+
+        let drawTimeAxisLine = d3.line()
+            .x(function (d) {
+                return d.x;
+            })
+            .y(function (d) {
+                return d.y;
+            });
+
+        function addTimeAxisLabel(x, y) {
+            graphArea
+                .append("text")
+                .classed("timeAxisLabel", true)
+                .style("text-anchor", "end")
+                .attr("x", x)
+                .attr("y", y)
+                .text(config.timeAxisLabel);
+        }
+
+        function generateSettings() {
+
+            ySpan = getTrackSpan();
+            xSpan = getTimePointSpan();
+
+            settings.timePointCount = getTimePoints().length;
+
+            let maxTrack = ySpan[1];
+
+            containerDimensions = getContainerDimensions(d3.select(config.selector).node(), getUnmeasuredElements());
+
+            settings.yRatio = (
+                config.yRatio ?
+                    config.yRatio * config.screenProportion :
+                    getYRatio()
+            );
+
+            settings.xRatio = (
+                config.xRatio ?
+                    config.xRatio * config.screenProportion :
+                    getXRatio()
+            );
+
+            settings.outerHeight = (
+                config.outerHeight ?
+                    config.outerHeight :
+                    containerDimensions.height * settings.yRatio
+            );
+            settings.outerWidth = (
+                config.outerWidth ?
+                    config.outerWidth :
+                    containerDimensions.width * settings.xRatio
+            );
+
+            settings.trackStrokeWidth = Math.min(
+                Math.round(settings.outerWidth / (settings.timePointCount * 5)),
+                Math.round(settings.outerHeight / (maxTrack * 8))
+            );
+            settings.interactionPointRadius = settings.trackStrokeWidth;
+
+            settings.interactionLabelHeight = settings.interactionPointRadius * 1.5;
+
+            settings.trackLabelWidth = d3.max(measureTextWidths(tracks.map(getTrackProtein), "trackLabel", TRACK_LABEL_FONT_SCALE)) || 0;
+
+            settings.labelRowHeight = settings.interactionLabelHeight * 1.2;//1.2 so that there is a 20% gap between rows of text
+            settings.laneOffset = config.comparison === constants.comparison.SIDE_BY_SIDE ? settings.interactionPointRadius : 0;
+            settings.yLabelOffset = settings.interactionPointRadius + settings.laneOffset + settings.labelRowHeight;
+            settings.xLabelOffset = 2 * settings.interactionPointRadius + settings.trackLabelWidth;
+
+            settings.timeAxisHeight = settings.interactionPointRadius + settings.interactionLabelHeight * 1.5;
+            settings.brushHeight = config.timeZoom === "true" ? settings.interactionLabelHeight * 2 : 0;
+
+            settings.margin = {
+                left: settings.xLabelOffset + settings.interactionPointRadius * 2,
+                top: settings.interactionPointRadius * 2,
+                right: settings.interactionPointRadius * 2,
+                bottom: 0
+            };
+            settings.innerWidth = settings.outerWidth - settings.margin.left - settings.margin.right;
+
+            setEncodingRanges();
+            settings.legendHeight = getLegendLayout().lineCount * getLegendLineHeight();
+
+            settings.margin.bottom = settings.interactionPointRadius * 2 + settings.timeAxisHeight + settings.legendHeight + settings.brushHeight;
+            settings.innerHeight = settings.outerHeight - settings.margin.top - settings.margin.bottom;
+        }
+
+        function getYRatio() {
+            let maxTrack = ySpan[1];
+            let yRatio = (containerDimensions.width / maxTrack ) / (containerDimensions.height / settings.timePointCount);
+            return yRatio > 1 ? config.screenProportion : yRatio * config.screenProportion;
+        }
+
+        function getXRatio() {
+            let maxTrack = ySpan[1];
+            let xRatio = (containerDimensions.width / maxTrack) / (containerDimensions.height / settings.timePointCount);
+            return xRatio > 1 ? config.screenProportion : xRatio * config.screenProportion;
+        }
+
+        function clear() {
+            removeCanvas();
+            if (resizeObserver) {
+                resizeObserver.disconnect();
+            }
+            if (resizeTimer) {
+                resizeTimer.stop();
+            }
+            resizeObserver = null;
+            resizeTimer = null;
+            if (historyTimer) {
+                historyTimer.stop();
+            }
+            historyTimer = null;
+            urlIssues = [];
+            urlView = null;
+            if (playbackControls) {
+                playbackControls.remove();
+            }
+            if (filterControls) {
+                filterControls.remove();
+            }
+            if (exportButtons) {
+                exportButtons.remove();
+            }
+            if (validationPanel) {
+                validationPanel.remove();
+            }
+            if (dataTablePanel) {
+                dataTablePanel.remove();
+            }
+            dataTablePanel = null;
+            exportButtons = null;
+            validationPanel = null;
+            validationReport = null;
+            if (playbackTimer) {
+                playbackTimer.stop();
+            }
+            playbackControls = null;
+            filterControls = null;
+            playbackTimer = null;
+            playbackTimePoint = null;
+            networkTimePoint = null;
+
+            interactionEvents = [];
+            conditionLabels = [];
+            comparison = null;
+            identifierMapping = null;
+            ordinalTimePoints = [];
+            clearTracks();
+        }
+
+        /**
+         * removes the SVG canvas and tooltip leaving the loaded data, tracks and html controls in place
+         */
+        function removeCanvas() {
+            if (canvasArea) {
+                canvasArea.remove();
+            }
+            if (networkArea) {
+                networkArea.remove();
+            }
+            if (tooltip) {
+                tooltip.remove();
+            }
+            if (announcer) {
+                announcer.remove();
+            }
+            canvasArea = null;
+            announcer = null;
+            focusedPoint = null;
+            graphArea = null;
+            networkArea = null;
+            network = null;
+            tooltip = null;
+            selectedInteraction = null;
+            complexMergeArea = null;
+            trackArea = null;
+            trackCanvas = null;
+            canvasStyles = null;
+            canvasTextWidths = null;
+            canvasTrackLayouts = [];
+            canvasExpandedBadge = null;
+            highlightedTrack = null;
+
+            xSpan = null;
+            ySpan = null;
+            xScale = null;
+            yScale = null;
+            baseXScale = null;
+            timeZoom = null;
+            timeBrush = null;
+            timeAxisTicks = null;
+            timeBrushArea = null;
+        }
+
+        /**
+         * sizes the chart from its container and draws the SVG canvas
+         */
+        function renderCanvas() {
+            generateSettings();
+            setupCanvas();
+            drawTimeAxis();
+            drawLegend();
+            drawComplexMerges();
+            drawTracks();
+            setupTimeZoom();
+            setupNetworkView();
+            setupAccessibility();
+        }
+
+        /**
+         * the SVGs and data table drawn for the chart, left out when measuring the container so they do not shrink the space for the chart as they are redrawn or shown
+         */
+        function getUnmeasuredElements() {
+            return [canvasArea, networkArea, dataTablePanel && dataTablePanel.select("table")]
+                .filter(Boolean)
+                .map(function (area) {
+                    return area.node();
+                });
+        }
+
+        /**
+         * lays the chart out again when its container is resized, eg when the window is resized or a tab or modal holding it is shown
+         * unless config.outerWidth and outerHeight fix its size
+         */
+        function observeContainerSize() {
+            if (!window.ResizeObserver || (config.outerWidth && config.outerHeight)) {
+                return;
+            }
+            resizeObserver = new window.ResizeObserver(function () {
+                if (resizeTimer) {
+                    resizeTimer.stop();
+                }
+                resizeTimer = d3.timeout(containerResized, RESIZE_DELAY);
+            });
+            resizeObserver.observe(d3.select(config.selector).node());
+        }
+
+        function containerResized() {
+            resizeTimer = null;
+            if (!canvasArea) {
+                return;
+            }
+            let dimensions = getContainerDimensions(d3.select(config.selector).node(), getUnmeasuredElements());
+            if (Math.abs(dimensions.width - containerDimensions.width) >= 1 || Math.abs(dimensions.height - containerDimensions.height) >= 1) {
+                relayout();
+            }
+        }
+
+        /**
+         * redraws the SVG canvas at the container's new size keeping the time range shown, playback carries on from the same time point
+         */
+        function relayout() {
+            let timeRange = xScale.domain();
+            let isZoomed = timeRange[0] > baseXScale.domain()[0] || timeRange[1] < baseXScale.domain()[1];
+            removeCanvas();
+            renderCanvas();
+            if (isZoomed) {
+                setTimeDomain(timeRange);
+            }
+            notifyRendered();
+        }
+
+        /**
+         * clears everything built from the loaded events so the tracks can be rebuilt
+         */
+        function clearTracks() {
+            trackCounts = Object.create(null);
+            proteinDegradations = Object.create(null);
+            tracks = [];
+            encodings = [];
+
+            complexes = [];
+            complexTimeline = [];
+            complexesById = Object.create(null);
+            proteinComplexes = Object.create(null);
+            proteinFounderComplexes = Object.create(null);
+            complexColor = d3.scaleOrdinal(d3.schemeCategory10);
+        }
+
+        /**
+         * the tracks and complexes built from the events, kept while refiltering so the chart drawn is left as it was if the new tracks can not be built
+         */
+        function getTrackState() {
+            return {
+                trackCounts: trackCounts,
+                proteinDegradations: proteinDegradations,
+                tracks: tracks,
+                encodings: encodings,
+                complexes: complexes,
+                complexTimeline: complexTimeline,
+                complexesById: complexesById,
+                proteinComplexes: proteinComplexes,
+                proteinFounderComplexes: proteinFounderComplexes,
+                complexColor: complexColor
+            };
+        }
+
+        function setTrackState(trackState) {
+            trackCounts = trackState.trackCounts;
+            proteinDegradations = trackState.proteinDegradations;
+            tracks = trackState.tracks;
+            encodings = trackState.encodings;
+            complexes = trackState.complexes;
+            complexTimeline = trackState.complexTimeline;
+            complexesById = trackState.complexesById;
+            proteinComplexes = trackState.proteinComplexes;
+            proteinFounderComplexes = trackState.proteinFounderComplexes;
+            complexColor = trackState.complexColor;
+        }
+
+        /**
+         * the canvas goes before the chart's html controls, which are added first so their height is known when the chart is sized
+         * text is sized from the --baseTextHeight CSS variable set on the canvas so the rest of the page is not affected
+         */
+        function setupCanvas() {
+            canvasArea = d3.select(config.selector)
+                .insert("svg", getFirstControl)
+                .attr("width", settings.outerWidth)
+                .attr("height", settings.outerHeight)
+                .style("--baseTextHeight", settings.interactionLabelHeight);
+
+            graphArea = canvasArea
+                .append("g")
+                .attr("transform", "translate(" + settings.margin.left + "," + settings.margin.top + ")");
+
+            tooltip = d3.select(config.selector)
+                .append("div")
+                .classed("multiComplexTooltip", true)
+                .style("position", "fixed")
+                .style("pointer-events", "none")
+                .style("display", "none");
+
+            graphArea.append("rect")
+                .classed("graphBackground", true)
+                .attr("width", settings.innerWidth)
+                .attr("height", settings.innerHeight)
+                .style("fill", "none")
+                .style("pointer-events", "all");
+
+            if (config.renderer === constants.renderer.CANVAS) {
+                setupTrackCanvas();
+            }
+            complexMergeArea = graphArea.append("g")
+                .classed("complexMerges", true);
+            trackArea = graphArea.append("g")
+                .classed("tracks", true);
+
+            baseXScale = (config.timeType === constants.timeType.DATE ? d3.scaleTime() : d3.scaleLinear()).range([0, settings.innerWidth]);
+            yScale = d3.scaleLinear().range([settings.innerHeight, 0]);
+
+            baseXScale.domain(xSpan);
+            yScale.domain(ySpan);
+            xScale = baseXScale.copy().clamp(true);
+        }
+
+        /**
+         * validates every row of the loaded data building validationReport and showing it in the validation panel
+         * rows are numbered as in the spreadsheet with the header as row 1
+         * @returns {Array} the rows with no "error" issues, with their line numbers in rowNumbers
+         * @throws a message if there are "fatal" issues so the chart can not be drawn
+         */
+        function validateEventData(data) {
+            validationReport = {issues: [], fatal: false, errorCount: 0, warningCount: 0, rowCount: 0, validRowCount: 0};
+            let validRows = [];
+            urlIssues.concat((data && data.issues) || []).forEach(function (issue) {
+                addValidationIssue(issue.severity, issue.row, issue.column, issue.message);
+            });
+            if (!data || !data.length) {
+                addValidationIssue(constants.severity.FATAL, null, null, "No data was loaded from " + getSourceName(config.source));
+            } else {
+                validationReport.rowCount = data.length;
+                validateEventColumns(data);
+            }
+            if (!validationReport.fatal) {
+                let validIndexes = d3.range(data.length).filter(function (i) {
+                    return validateEventRow(data[i], i, data);
+                });
+                validRows = validIndexes.map(function (i) {
+                    return data[i];
+                });
+                validRows.rowNumbers = validIndexes.map(function (i) {
+                    return getRowNumber(data, i);
+                });
+                validateDuplicateIds(data);
+                validateProteinNameCase(data);
+                validateTimePointGaps(validRows);
+                validationReport.validRowCount = validRows.length;
+                if (!validRows.length) {
+                    addValidationIssue(constants.severity.FATAL, null, null, "No rows could be used");
+                }
+            }
+            reportValidation();
+            return validRows;
+        }
+
+        /**
+         * shows the validation report and stops the chart being drawn if any issue is fatal
+         */
+        function reportValidation() {
+            showValidationReport();
+            if (validationReport.fatal) {
+                throw "Data loaded can not be drawn: " + validationReport.issues.filter(isFatalIssue).map(getIssueMessage).join(", ");
+            }
+        }
+
+        function validateEventColumns(data) {
+            let columns = data.columns || d3.keys(data[0]);
+            [config.proteinAColumn, config.proteinBColumn, config.timePointColumn].forEach(function (column) {
+                if (columns.indexOf(column) < 0) {
+                    addValidationIssue(constants.severity.FATAL, null, column, "Column " + column + " was not found in the data");
+                }
+            });
+        }
+
+        /**
+         * @returns {boolean} true if the row can be used
+         */
+        function validateEventRow(event, i, data) {
+            let row = getRowNumber(data, i);
+            let valid = true;
+            [config.proteinAColumn, config.proteinBColumn].forEach(function (column) {
+                if (!getProteinName(event[column])) {
+                    addValidationIssue(constants.severity.ERROR, row, column, column + " is blank");
+                    valid = false;
+                }
+            });
+            if (valid && getProteinName(event[config.proteinAColumn]) === getProteinName(event[config.proteinBColumn])) {
+                addValidationIssue(constants.severity.WARNING, row, config.proteinBColumn, "Self interaction of " + event[config.proteinAColumn]);
+            }
+            let timePoint = event[config.timePointColumn];
+            if (timePoint === "" || timePoint === null || timePoint === undefined) {
+                addValidationIssue(constants.severity.ERROR, row, config.timePointColumn, config.timePointColumn + " is blank");
+                valid = false;
+            } else if (config.timeType !== constants.timeType.ORDINAL && !isFinite(getEventTimePoint(event))) {
+                addValidationIssue(constants.severity.ERROR, row, config.timePointColumn, config.timePointColumn + " " + timePoint + " can not be read as " + config.timeType);
+                valid = false;
+            }
+            if (config.eventTypeColumn && !isConstantValue(constants.eventType, getEventType(event))) {
+                addValidationIssue(constants.severity.ERROR, row, config.eventTypeColumn,
+                    config.eventTypeColumn + " " + event[config.eventTypeColumn] + " is not one of " + d3.values(constants.eventType).join(", "));
+                valid = false;
+            }
+            return valid;
+        }
+
+        function validateDuplicateIds(data) {
+            let firstRows = Object.create(null);
+            data.forEach(function (event, i) {
+                let id = event[config.eventIdColumn];
+                if (!id) {
+                    return;
+                }
+                if (id in firstRows) {
+                    addValidationIssue(constants.severity.WARNING, getRowNumber(data, i), config.eventIdColumn,
+                        config.eventIdColumn + " " + id + " is also used by row " + firstRows[id]);
+                } else {
+                    firstRows[id] = getRowNumber(data, i);
+                }
+            });
+        }
+
+        /**
+         * warns about protein names that differ only in case (eg Cdk1 and CDK1) as they are drawn as separate tracks
+         */
+        function validateProteinNameCase(data) {
+            let spellings = Object.create(null);
+            data.forEach(function (event, i) {
+                [config.proteinAColumn, config.proteinBColumn].forEach(function (column) {
+                    let protein = getProteinName(event[column]);
+                    if (!protein) {
+                        return;
+                    }
+                    let key = protein.toLowerCase();
+                    spellings[key] = spellings[key] || Object.create(null);
+                    if (!(protein in spellings[key])) {
+                        spellings[key][protein] = {row: getRowNumber(data, i), column: column};
+                    }
+                });
+            });
+            for (let key in spellings) {
+                let proteins = Object.keys(spellings[key]);
+                proteins.slice(1).forEach(function (protein) {
+                    addValidationIssue(constants.severity.WARNING, spellings[key][protein].row, spellings[key][protein].column,
+                        "Protein " + protein + " differs only in case from " + proteins[0] + " (row " + spellings[key][proteins[0]].row + ")");
+                });
+            }
+        }
+
+        /**
+         * numeric time points that are all whole numbers are expected to be contiguous like the Order column
+         */
+        function validateTimePointGaps(rows) {
+            if (config.timeType !== constants.timeType.NUMERIC) {
+                return;
+            }
+            let timePoints = d3.set(rows, getEventTimePoint).values().map(Number).sort(d3.ascending);
+            if (!timePoints.every(Number.isInteger)) {
+                return;
+            }
+            d3.pairs(timePoints).forEach(function (pair) {
+                if (pair[1] - pair[0] > 1) {
+                    addValidationIssue(constants.severity.WARNING, null, config.timePointColumn,
+                        config.timePointColumn + " jumps from " + pair[0] + " to " + pair[1]);
+                }
+            });
+        }
+
+        function addValidationIssue(severity, row, column, message) {
+            validationReport.issues.push({row: row, severity: severity, column: column, message: message});
+            if (severity === constants.severity.FATAL) {
+                validationReport.fatal = true;
+            } else if (severity === constants.severity.ERROR) {
+                validationReport.errorCount++;
+            } else {
+                validationReport.warningCount++;
+            }
+        }
+
+        /**
+         * loaders that parse files themselves give the line of each row in data.rowNumbers
+         */
+        function getRowNumber(data, dataIndex) {
+            return data.rowNumbers ? data.rowNumbers[dataIndex] : dataIndex + 2;
+        }
+
+        function getProteinName(value) {
+            return value === null || value === undefined ? "" : String(value).trim();
+        }
+
+        function isFatalIssue(issue) {
+            return issue.severity === constants.severity.FATAL;
+        }
+
+        function getIssueMessage(issue) {
+            return (issue.row ? "Row " + issue.row + ": " : "") + issue.message;
+        }
+
+        /**
+         * the validation panel lists every issue above the chart, most severe first
+         */
+        function showValidationReport() {
+            if (validationPanel) {
+                validationPanel.remove();
+                validationPanel = null;
+            }
+            if (config.showValidationReport !== "true" || !validationReport.issues.length) {
+                return;
+            }
+            let severityOrder = d3.values(constants.severity);
+            let issues = validationReport.issues.slice().sort(function (a, b) {
+                return severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity) || (a.row || 0) - (b.row || 0);
+            });
+            validationPanel = d3.select(config.selector)
+                .append("div")
+                .classed("validationReport", true)
+                .classed("hasErrors", validationReport.fatal || validationReport.errorCount > 0);
+            validationPanel.append("div")
+                .classed("validationSummary", true)
+                .text(getValidationSummary());
+            validationPanel.append("ul")
+                .selectAll("li")
+                .data(issues)
+                .enter()
+                .append("li")
+                .attr("class", function (d) {
+                    return "validationIssue " + d.severity;
+                })
+                .text(getIssueMessage);
+        }
+
+        function getValidationSummary() {
+            if (validationReport.fatal) {
+                return "The data could not be drawn";
+            }
+            return validationReport.errorCount + " error(s) left out " +
+                (validationReport.rowCount - validationReport.validRowCount) + " of " + validationReport.rowCount + " rows, " +
+                validationReport.warningCount + " warning(s)";
+        }
+
+        function validateConfig() {
+            d3.keys(configSchema).forEach(function (key) {
+                if (configSchema[key].type === "flag" && config[key] !== "true" && config[key] !== "false") {
+                    throw "Config " + key + " settings are invalid";
+                }
+            });
+            if (!(config.screenProportion > 0 && config.screenProportion <= 1)) {
+                throw "Config screenProportion settings are invalid";
+            }
+            if (!((config.xRatio > 0 && config.xRatio <= 1) || (!config.xRatio ) || (config.outerWidth > 0))) {
+                throw "Config Width settings are invalid";
+            }
+            if (!((config.yRatio > 0 && config.yRatio <= 1) || (!config.yRatio ) || (config.outerHeight > 0))) {
+                throw "Config Height settings are invalid";
+            }
+            if (!(config.playbackInterval > 0)) {
+                throw "Config playbackInterval settings are invalid";
+            }
+            if (!(config.minimumInteractionCount >= 1)) {
+                throw "Config minimumInteractionCount settings are invalid";
+            }
+            if (!isConstantValue(constants.renderer, config.renderer)) {
+                throw "Config renderer settings are invalid";
+            }
+            if (!isConstantValue(constants.dataTable, config.dataTable)) {
+                throw "Config dataTable settings are invalid";
+            }
+            if (!(config.minimumLabelHeight >= 0)) {
+                throw "Config minimumLabelHeight settings are invalid";
+            }
+            if (!(config.timePointColumn > "" && config.proteinAColumn > "" && config.proteinBColumn > "")) {
+                throw "Config import column settings are invalid";
+            }
+            if (!isConstantValue(constants.interactorName, config.interactorName)) {
+                throw "Config interactorName settings are invalid";
+            }
+            if (!(config.sourceType in loaders)) {
+                throw "Config sourceType settings are invalid";
+            }
+            if (!isConstantValue(constants.comparison, config.comparison) ||
+                (isComparing() && [config.compareSource, config.conditionColumn, config.conditionSuffix].filter(Boolean).length !== 1)) {
+                throw "Config comparison settings are invalid";
+            }
+            if (config.compareSourceType && !(config.compareSourceType in loaders)) {
+                throw "Config compareSourceType settings are invalid";
+            }
+            if ((config.identifierMapType && !(config.identifierMapType in loaders)) || !isConstantValue(constants.proteinLabel, config.proteinLabel)) {
+                throw "Config identifierMap settings are invalid";
+            }
+            if (!isConstantValue(constants.timeType, config.timeType)) {
+                throw "Config timeType settings are invalid";
+            }
+            if (!isConstantValue(constants.repeatedInteractions, config.repeatedInteractions)) {
+                throw "Config repeatedInteractions settings are invalid";
+            }
+            if (!(typeof config.trackOrder === "function" || isTrackOrderList(config.trackOrder) || isConstantValue(constants.trackOrder, config.trackOrder))) {
+                throw "Config trackOrder settings are invalid";
+            }
+            if (d3.select(config.selector).empty()) {
+                throw "Config selector settings are invalid";
+            }
+            return true;
+        }
 
-    let interactionEvents = [],
-        tracks = [],
-        trackCounts = Object.create(null);
+        /* end internal functions */
 
-    let xSpan = null,
-        ySpan = null,
-        xScale = null,
-        yScale = null,
-        screenDimensions = null;
-    /**
-     * internal settings generated from the config
-     * @param {number} maxTrackNameLength the number of characters in the track with the longest protein (primary protein protein)
-     * @param {number} outerWidth canvas width in px
-     * @param {number} outerHeight canvas height in px
-     * @param {number} trackStrokeWidth width of trackpath between interaction points
-     * @param {number} interactionPointRadius radius of interaction points
-     * @param {decimal} trackLabelWidth predicted width of the longest trackLabel
-     * @param {number} interactionLabelHeight height in px of the interaction label
-     * @param {number} fontHeightWidthRatio not sure how you calculate this for a given font so I have just set it to a reasonable number (in this case 2)
-     * @param {object} margin the margin properties in px inside the canvas
-     */
+        return chart;
+    }
 
-    let settings = {
-        maxTrackNameLength: 0,
-        outerWidth: 0,
-        outerHeight: 0,
-        trackStrokeWidth: 0,
-        interactionPointRadius: 0,
-        trackLabelWidth: 0,
-        interactionLabelHeight: 0,
-        fontHeightWidthRatio: 2,
-        xRatio: 0,
-        yRatio: 0,
-        margin: {left: 0, top: 0, right: 0, bottom: 0}
-    };
+    /* end chart factory */
 
     /**
-     * private functions
+     * private functions shared by all charts
      */
-    function setConfig() {
-        clear();
-        if (config.useURLConfig) {
-            setConfigFromURL();
-        }
-        validateConfig();
-    }
-
-    function setConfigFromURL() {
-        let urlParams = getURLParams();
-        for(let param in urlParams) {
-            if (urlParams.hasOwnProperty(param) && config.hasOwnProperty(param)) {
-                config[param] = urlParams[param];
-            }
-        }
-    }
-
     function getURLParams() {
         let urlParams;
         let match,
@@ -170,460 +5570,736 @@ let multiComplex = function () {
     }
 
     /**
-     * loads data into eventData from either a googleSpreadSheet or a local CSV depending on config
+     * values of "flag" and "boolean" URL parameters, a parameter with no value is true
      */
-    function getInteractionEvents() {
-        return loadInteractionEvents()
-            .then(setInteractionEvents);
-    }
+    const URL_FLAG_VALUES = Object.freeze({"": true, "true": true, "1": true, "yes": true, "on": true, "false": false, "0": false, "no": false, "off": false});
 
-    function loadInteractionEvents() {
-        if (config.sourceType === constants.sourceType.GOOGLE_SPREADSHEET) {
-            return new Promise(loadInteractionEventsFromGoogleSpreadSheet);
-        } else if (config.sourceType === constants.sourceType.CSV_FILE) {
-            return new Promise(loadInteractionEventsFromCSVFile);
+    /**
+     * time in ms the page's URL waits for the chart to stop changing before it is updated
+     */
+    const HISTORY_DELAY = 250;
+
+    /**
+     * parses a URL parameter's text against its configSchema or viewSchema entry
+     * @returns {*} the value
+     * @throws {string} why the value can not be used
+     */
+    function parseURLParam(param, text, schema) {
+        let described = param + "=" + text;
+        if (schema.type === "flag" || schema.type === "boolean") {
+            let flag = URL_FLAG_VALUES[text.toLowerCase()];
+            if (flag === undefined) {
+                throw described + " is not true or false";
+            }
+            return schema.type === "flag" ? String(flag) : flag;
+        }
+        if (schema.type === "constant" && !isConstantValue(schema.values, text)) {
+            throw described + " is not one of " + d3.values(schema.values).join(", ");
+        }
+        if (schema.type === "loader" && !(text in loaders) && !(schema.nullable && text === "")) {
+            throw described + " is not one of " + d3.keys(loaders).join(", ");
         }
+        if (schema.type === "trackOrder" && !isConstantValue(constants.trackOrder, text) && !isTrackOrderList(text)) {
+            throw described + " is not one of " + d3.values(constants.trackOrder).join(", ") + " or a comma separated list of proteins";
+        }
+        if (schema.type === "number") {
+            return parseURLNumber(described, text, schema);
+        }
+        if (schema.type === "range") {
+            let ends = text.split(",");
+            if (ends.length !== 2) {
+                throw described + " is not two numbers separated by a comma";
+            }
+            return ends.map(function (end) {
+                return parseURLNumber(described, end, {nullable: schema.openEnded});
+            });
+        }
+        if (schema.type === "list") {
+            return getProteinList(text);
+        }
+        return text;
     }
 
-    function loadInteractionEventsFromCSVFile(resolve) {
-        d3.csv(config.source, resolve);
+    function parseURLNumber(described, text, schema) {
+        if (text.trim() === "") {
+            if (schema.nullable) {
+                return null;
+            }
+            throw described + " is not a number";
+        }
+        let value = +text;
+        if (!isFinite(value)) {
+            throw described + " is not a number";
+        }
+        if (schema.integer && !Number.isInteger(value)) {
+            throw described + " is not a whole number";
+        }
+        if ("min" in schema && value < schema.min) {
+            throw described + " is less than " + schema.min;
+        }
+        if ("greaterThan" in schema && !(value > schema.greaterThan)) {
+            throw described + " is not greater than " + schema.greaterThan;
+        }
+        if ("max" in schema && value > schema.max) {
+            throw described + " is more than " + schema.max;
+        }
+        return value;
     }
 
-    function loadInteractionEventsFromGoogleSpreadSheet(resolve) {
-        Tabletop.init({
-            key: config.source,
-            callback: resolve,
-            simpleSheet: true
-        });
+    /**
+     * settings such as a comparator function or an array of rows can not be put in a URL
+     */
+    function isURLValue(value) {
+        return value === null || ["string", "number", "boolean"].indexOf(typeof value) >= 0;
     }
 
-    function setInteractionEvents(data) {
-        if (validateEventData(data)) {
-            interactionEvents = data;
+    /**
+     * the URL text of a value, lists and ranges are separated by commas, null is left empty and numbers (and dates) are given to 3 decimal places at most
+     */
+    function formatURLParam(value) {
+        if (Array.isArray(value)) {
+            return value.map(formatURLParam).join(",");
+        }
+        if (value === null) {
+            return "";
+        }
+        if (typeof value === "number" || value instanceof Date) {
+            return String(+(+value).toFixed(3));
         }
+        return String(value);
     }
 
     /**
-     * generates span settings by looking at the eventData to get order extent for x and then processing the eventData to calculate tracks for y
-     * note that the y span uses the length of the array rather than the maximum index to include room for the timeAxis
+     * the viewport without its scrollbars
      */
+    function getScreenDimensions() {
+        let e = document.documentElement;
+        return {width: e.clientWidth || window.innerWidth, height: e.clientHeight || window.innerHeight};
+    }
 
-    function getTimePointSpan() {        
-        let minTimePoint = d3.min(tracks, function (d) {
-            return d3.min(d.interactions, function (d) {
-                return d.timePoint;
-            });
-        });        
-        let maxTimePoint = d3.max(tracks, function (d) {
-            return d3.max(d.interactions, function (d) {
-                return d.timePoint;
-            });
+    /**
+     * the space the chart's SVG can take up in its container, the container's content box less the height of anything else in it
+     * the SVGs are hidden while measuring so a container sized by its content shrinks back to that content and the SVGs' own size is not measured
+     * charts in the page body are sized from the viewport, as are hidden containers and those with no height to spare until they are resized
+     * @param {Element} container
+     * @param {Array} svgs the chart's SVGs that have been drawn
+     */
+    function getContainerDimensions(container, svgs) {
+        let screenDimensions = getScreenDimensions();
+        if (container === document.body || container === document.documentElement) {
+            return screenDimensions;
+        }
+        svgs.forEach(function (svg) {
+            svg.style.display = "none";
+        });
+        let style = window.getComputedStyle(container);
+        let width = container.clientWidth - parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+        let height = container.clientHeight - parseFloat(style.paddingTop || 0) - parseFloat(style.paddingBottom || 0);
+        Array.prototype.forEach.call(container.children, function (child) {
+            let position = window.getComputedStyle(child).position;
+            if (svgs.indexOf(child) < 0 && position !== "absolute" && position !== "fixed") {
+                height -= child.offsetHeight || 0;
+            }
+        });
+        svgs.forEach(function (svg) {
+            svg.style.display = "";
         });
-        return [minTimePoint, maxTimePoint];
+        return {width: width > 0 ? width : screenDimensions.width, height: height > 0 ? height : screenDimensions.height};
     }
 
-    function getTrackSpan() {
-        return [0, tracks.length];
-    }
+    const FILTER_TRANSITION_DURATION = 750;
 
     /**
-     * buildTrackCounts is the meat of the module
-     * each interaction is processed to record each protein (protein A and B) involved
-     * and the protein it interacted with (protein B against A and A against B)(interaction.protein)
-     * and to increment the number of events each protein is involved in (trackCounts)
-     * any tracks with with less than config.minimumInteractionCount interactions are removed
+     * font sizes as multiples of --baseTextHeight, matching the example page's CSS, used when text widths have to be estimated
      */
-    function buildTrackCounts() {
-        interactionEvents.sort(function (a, b) {
-            return (+a[config.timePointColumn]) - (+b[config.timePointColumn]);
-        });
-        for (let i = 0, eventCount = interactionEvents.length; i < eventCount; i++) {
-            let event = interactionEvents[i];
-            let proteinA = event[config.proteinAColumn];
-            let proteinB = event[config.proteinBColumn];
-            let timePoint = +event[config.timePointColumn];
-            addTrackCount(proteinA, proteinB, timePoint);
-            addTrackCount(proteinB, proteinA, timePoint);
-        }
+    const TRACK_LABEL_FONT_SCALE = 1.5;
+    const LABEL_FONT_SCALE = 1;
 
-        if (config.removeDuplicateInteractions === "true") {
-            removeDuplicateInteractions();
-        }
-        for (let protein in trackCounts) {
-            removeSmallerTrackCounts(protein);
-        }
-    }
+    /**
+     * columns added to every event when comparing conditions, the event's condition and how it compares with the other condition
+     */
+    const CONDITION_COLUMN = "Condition";
+    const COMPARISON_COLUMN = "Comparison";
 
     /**
-     * generates span settings by looking at the eventData to get order extent for x and then processing the eventData to calculate tracks for y
-     * note that the y span uses the length of the array rather than the maximum index to include room for the timeAxis
+     * comparison colors in the order of getComparisonStatuses: in both, shifted, only in the first condition, only in the second
      */
-    function convertInteractionEventsToTracks() {
-        buildTrackCounts();
-        getTracks();
-    }
+    const COMPARISON_COLORS = ["#999999", "#f5a623", "#242db9", "#db1471"];
 
-    function addTrackCount(p1, p2, timePoint) {
-        setMaxProteinNameLength(p1);
-        if (trackCounts[p1]) {
-            trackCounts[p1].trackCount++;
-        } else {
-            trackCounts[p1] = {trackCount: 1, interactions: Object.create(null)};
-        }
-        trackCounts[p1].interactions[p2] = timePoint;
-    }
+    /**
+     * the canvas renderer draws interaction points smaller than this radius in px as squares
+     */
+    const CANVAS_POINT_DETAIL_RADIUS = 2;
 
-    function removeSmallerTrackCounts(protein) {
-        if (trackCounts[protein].trackCount < config.minimumInteractionCount) {
-            delete trackCounts[protein];
-        }
-    }
+    /**
+     * time in ms the container must stay the same size before the chart is laid out again
+     */
+    const RESIZE_DELAY = 150;
 
-    function removeDuplicateInteractions() {
-        for (let proteinA in trackCounts) {
-            if (trackCounts.hasOwnProperty(proteinA)) {
-                for (let proteinB in trackCounts[proteinA].interactions) {
-                    if (trackCounts.hasOwnProperty(proteinB)) {
-                        removeDuplicateInteraction(proteinA, proteinB);
-                    }
-                }
-            }
-        }
-    }
+    /**
+     * the columns of each summary table in the order they are exported
+     */
+    const SUMMARY_COLUMNS = Object.freeze({
+        proteins: ["protein", "hasTrack", "degree", "interactionCount", "firstTimePoint", "lastTimePoint", "partners"],
+        timePoints: ["timePoint", "activeProteins", "interactionCount", "newInteractions"],
+        edges: ["source", "target", "count", "firstTimePoint", "lastTimePoint"]
+    });
 
-    function removeDuplicateInteraction(proteinA, proteinB) {
-        if (trackCounts[proteinA].trackCount < trackCounts[proteinB].trackCount) {
-            delete trackCounts[proteinA].interactions[proteinB];
-            trackCounts[proteinA].trackCount--;
-        }
-    }
+    /**
+     * GraphML attr.type of the summary columns that are not strings
+     */
+    const GRAPHML_TYPES = Object.freeze({
+        hasTrack: "boolean",
+        degree: "int",
+        interactionCount: "int",
+        count: "int"
+    });
 
-    function getTracks() {
-        for (let protein in trackCounts) {
-            tracks.push({protein: protein, interactions: getTrackInteractions(trackCounts[protein].interactions)});
-        }
-        tracks.sort(
-            function (a, b) {
-                return b.interactions.length - a.interactions.length;
+    const SUMMARY_MIME_TYPES = Object.freeze({
+        csv: "text/csv;charset=utf-8",
+        json: "application/json;charset=utf-8",
+        graphml: "application/xml;charset=utf-8"
+    });
+
+    const SUMMARY_EXPORT_BUTTONS = [
+        {text: "Proteins CSV", format: constants.summaryFormat.CSV, table: constants.summaryTable.PROTEINS},
+        {text: "Time points CSV", format: constants.summaryFormat.CSV, table: constants.summaryTable.TIME_POINTS},
+        {text: "Edges CSV", format: constants.summaryFormat.CSV, table: constants.summaryTable.EDGES},
+        {text: "JSON", format: constants.summaryFormat.JSON, table: null},
+        {text: "GraphML", format: constants.summaryFormat.GRAPHML, table: null}
+    ];
+
+    /**
+     * the chart's html controls, its SVGs go before them
+     */
+    const CONTROLS_SELECTOR = ".playbackControls, .filterControls, .exportButtons, .dataTablePanel";
+
+    /**
+     * inline styles that hide an element from view but not from screen readers, so they work without the page's CSS
+     */
+    const VISUALLY_HIDDEN_STYLE = Object.freeze({
+        "position": "absolute",
+        "width": "1px",
+        "height": "1px",
+        "margin": "-1px",
+        "padding": "0",
+        "border": "0",
+        "overflow": "hidden",
+        "clip": "rect(0 0 0 0)",
+        "white-space": "nowrap"
+    });
+
+    /**
+     * elements that are only there for interaction and are left out of exported files
+     */
+    const EXPORT_EXCLUDED_SELECTOR = ".timeBrush, .graphBackground, .trackCanvas, .timeAxisSelector, .focusRing";
+
+    /**
+     * presentation properties copied from the computed style of each element when exporting
+     */
+    const EXPORTED_STYLE_PROPERTIES = [
+        "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray", "stroke-linecap",
+        "opacity", "font-family", "font-size", "font-weight", "font-style", "text-anchor", "dominant-baseline"
+    ];
+
+    /**
+     * copies the computed style of every element of source onto the matching element of its clone
+     * @param {Element} source element in the page
+     * @param {Element} clone deep clone of source
+     * @param {string} [fontFamily] font-family substituted for the computed one
+     */
+    function inlineComputedStyles(source, clone, fontFamily) {
+        let sourceElements = [source].concat(Array.prototype.slice.call(source.querySelectorAll("*")));
+        let cloneElements = [clone].concat(Array.prototype.slice.call(clone.querySelectorAll("*")));
+        sourceElements.forEach(function (sourceElement, i) {
+            let computedStyle = window.getComputedStyle(sourceElement);
+            let cloneStyle = cloneElements[i].style;
+            EXPORTED_STYLE_PROPERTIES.forEach(function (property) {
+                let value = computedStyle.getPropertyValue(property);
+                if (value) {
+                    cloneStyle.setProperty(property, value);
+                }
+            });
+            if (fontFamily) {
+                cloneStyle.setProperty("font-family", fontFamily);
+            }
+            if (computedStyle.getPropertyValue("display") === "none") {
+                cloneStyle.setProperty("display", "none");
             }
-        );
+        });
     }
 
-    function getTrackInteractions(interactions) {
-        let trackInteractions = [];
-        for (let interaction in interactions) {
-            trackInteractions.push({protein: interaction, timePoint: interactions[interaction]});
-        }
-        return trackInteractions;
+    /**
+     * draws SVG markup onto a canvas scaled by scale and returns a promise of the PNG Blob
+     */
+    function svgToPNG(svgMarkup, width, height, scale) {
+        return new Promise(function (resolve, reject) {
+            let image = new Image();
+            let url = URL.createObjectURL(new Blob([svgMarkup], {type: "image/svg+xml;charset=utf-8"}));
+            image.onload = function () {
+                let canvas = document.createElement("canvas");
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                let context = canvas.getContext("2d");
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(resolve, "image/png");
+            };
+            image.onerror = function () {
+                URL.revokeObjectURL(url);
+                reject("Chart could not be rendered to PNG");
+            };
+            image.src = url;
+        });
     }
 
-    function setMaxProteinNameLength(protein) {
-        if (settings.maxTrackNameLength < protein.length) {
-            settings.maxTrackNameLength = protein.length;
-        }
+    function downloadBlob(blob, fileName) {
+        let url = URL.createObjectURL(blob);
+        let link = d3.select("body")
+            .append("a")
+            .attr("href", url)
+            .attr("download", fileName)
+            .style("display", "none");
+        link.node().click();
+        link.remove();
+        setTimeout(function () {
+            URL.revokeObjectURL(url);
+        });
     }
 
-    function drawTracks() {
-        for (let trackNumber = 0, trackCount = tracks.length; trackNumber < trackCount; trackNumber++) {
-            drawTrack(trackNumber);
-        }
-    }
+    /**
+     * loaders by sourceType, each is called with (config.source, config) and returns the rows or a Promise of them
+     * rows that fail to load are returned as null so they are reported by the data validation
+     * loaders that parse the rows themselves can add issues found parsing as rows.issues ([{row, severity, column, message}])
+     * and the line of each row as rows.rowNumbers so the validation report refers to lines of the file
+     */
+    const loaders = Object.create(null);
 
-    function drawTrack(trackNumber) {
-        addTrackLabel(trackNumber);
-        addTrackPath(trackNumber);
-        addTrackInteractionPoints(trackNumber);
-        addTrackInteractionLabels(trackNumber);
-    }
+    loaders[constants.sourceType.GOOGLE_SPREADSHEET] = function (source) {
+        return new Promise(function (resolve) {
+            Tabletop.init({
+                key: source,
+                callback: resolve,
+                simpleSheet: true
+            });
+        });
+    };
 
-    function addTrackLabel(trackNumber) {
-        let track = tracks[trackNumber];
-        let firstTimePoint = track.interactions[0].timePoint;
-        graphArea.append("text")
-            .classed("trackLabel track" + trackNumber, true)
-            .style("text-anchor", "end")
-            .attr("x", xScale(firstTimePoint) - 2 * settings.interactionPointRadius)
-            .attr("y", yScale(tracks.length - trackNumber) + settings.interactionLabelHeight / 2)
-            .text(track.protein);
-    }
+    loaders[constants.sourceType.CSV_FILE] = function (source) {
+        return new Promise(function (resolve) {
+            d3.csv(source, resolve);
+        });
+    };
 
-    function addTrackPath(trackNumber) {
-        let trackInteractions = [
-            {
-                x: d3.min(tracks[trackNumber].interactions, function (d) {
-                    return d.timePoint;
-                }), y: tracks.length - trackNumber
-            },
-            {
-                x: d3.max(tracks[trackNumber].interactions, function (d) {
-                    return d.timePoint;
-                }), y: tracks.length - trackNumber
-            }
-        ];
-        let path = graphArea.append("path");
-        path.attr("d", drawTrackLine(trackInteractions))
-            .attr("style", "stroke-width: " + settings.interactionPointRadius + "px;")
-            .classed("interactionPath track" + trackNumber, true);
-    }
+    loaders[constants.sourceType.TSV_FILE] = function (source) {
+        return new Promise(function (resolve) {
+            d3.tsv(source, resolve);
+        });
+    };
 
-    let drawTrackLine = d3.line()
-        .x(function (d) {
-            return xScale(d.x);
-        })
-        .y(function (d) {
-            return yScale(d.y);
+    loaders[constants.sourceType.MITAB_FILE] = function (source, config) {
+        return loadText(source).then(function (text) {
+            return parseFileText(text, "mitab", config);
         });
+    };
 
-    function addTrackInteractionPoints(trackNumber) {
-        let trackInteractions = tracks[trackNumber].interactions;
+    loaders[constants.sourceType.SIF_FILE] = function (source, config) {
+        return loadText(source).then(function (text) {
+            return parseFileText(text, "sif", config);
+        });
+    };
 
-        /*enter*/
-        let interactionPoints = graphArea
-            .selectAll(".interactionPoint.track" + trackNumber)
-            .data(trackInteractions);
+    loaders[constants.sourceType.JSON_FILE] = function (source) {
+        return new Promise(function (resolve) {
+            d3.json(source, resolve);
+        }).then(getJSONRows);
+    };
 
-        interactionPoints = interactionPoints
-            .enter()
-            .append("circle")
-            .classed("interactionPoint track" + trackNumber, true)
-            .attr("r", settings.interactionPointRadius);
+    /**
+     * rows are copied so the caller's array is left as it was
+     */
+    loaders[constants.sourceType.ARRAY] = function (source) {
+        return Array.isArray(source) ? source.map(function (row) {
+            return Object.assign({}, row);
+        }) : null;
+    };
 
-        /*update*/
-        interactionPoints
-            .attr("cx", getInteractionPointX)
-            .attr("cy", getInteractionPointY);
-        /*exit*/
-        interactionPoints.exit().remove();
+    loaders[constants.sourceType.FILE] = function (source, config) {
+        return readFileText(source).then(function (text) {
+            return parseFileText(text, getFileFormat(source), config);
+        });
+    };
 
-        function getInteractionPointX(d) {
-            return xScale(d.timePoint);
-        }
+    function loadText(url) {
+        return new Promise(function (resolve) {
+            d3.text(url, resolve);
+        });
+    }
 
-        function getInteractionPointY() {
-            return yScale(tracks.length - trackNumber);
-        }
+    function readFileText(file) {
+        return new Promise(function (resolve) {
+            let reader = new FileReader();
+            reader.onload = function () {
+                resolve(reader.result);
+            };
+            reader.onerror = function () {
+                resolve(null);
+            };
+            reader.readAsText(file);
+        });
     }
 
-    function addTrackInteractionLabels(trackNumber) {
+    /**
+     * a File's format is taken from its name or its MIME type, Blobs without either are read as CSV
+     */
+    function getFileFormat(file) {
+        let name = (file.name || "").toLowerCase();
+        let type = file.type || "";
+        if (/\.json$/.test(name) || /json/.test(type)) {
+            return "json";
+        }
+        if (/\.(mitab|psimitab|psi-mitab)$/.test(name)) {
+            return "mitab";
+        }
+        if (/\.sif$/.test(name)) {
+            return "sif";
+        }
+        if (/\.(tsv|tab)$/.test(name) || /tab-separated/.test(type)) {
+            return "tsv";
+        }
+        return "csv";
+    }
 
-        let trackInteractions = tracks[trackNumber].interactions;
+    function parseFileText(text, format, config) {
+        if (text === null) {
+            return null;
+        }
+        if (format === "mitab") {
+            return parseMITAB(text, config);
+        }
+        if (format === "sif") {
+            return parseSIF(text, config);
+        }
+        if (format === "json") {
+            try {
+                return getJSONRows(JSON.parse(text));
+            } catch (e) {
+                return null;
+            }
+        }
+        return format === "tsv" ? d3.tsvParse(text) : d3.csvParse(text);
+    }
 
-        let interactionLabels = graphArea
-            .selectAll(".interactionLabel.track" + trackNumber)
-            .data(trackInteractions);
+    function getJSONRows(data) {
+        return Array.isArray(data) ? data : null;
+    }
 
-        /*enter*/
-        interactionLabels = interactionLabels
-            .enter().append("text")
-            .classed("interactionLabel track" + trackNumber, true)
-            .style("text-anchor", "end");
+    /**
+     * PSI-MI TAB (MITAB 2.5 to 2.7) columns used, counted from 0
+     */
+    const MITAB_COLUMNS = Object.freeze({
+        ID_A: 0,
+        ID_B: 1,
+        ALIASES_A: 4,
+        ALIASES_B: 5,
+        DETECTION_METHOD: 6,
+        PUBLICATION: 8,
+        INTERACTION_TYPE: 11,
+        SOURCE_DATABASE: 12,
+        INTERACTION_ID: 13,
+        CONFIDENCE: 14,
+        INTERACTION_ANNOTATIONS: 27,
+        PARAMETERS: 29,
+        NEGATIVE: 35
+    });
 
-        /*update*/
-        interactionLabels
-            .attr("x", getInteractionLabelX)
-            .attr("y", getInteractionLabelY)
-            .text(getInteractionLabel);
+    /**
+     * the names the first column is given in PSI-MI TAB headers, a header starting with "#" is left out with the file's other comment lines
+     */
+    const MITAB_HEADER_NAMES = Object.freeze(["id(s) interactor a", "id interactor a", "unique id a"]);
 
-        /*exit*/
-        interactionLabels.exit().remove();
+    /**
+     * builds rows keyed by the config columns from a PSI-MI TAB export, one row per interaction
+     * only the first line can be a header, so interactors whose identifiers start with "id" are kept
+     * the interaction type, detection method, confidence, source database and publication are kept as extra columns so they can be encoded
+     * interactions with an interactor that can not be named are left out and reported in rows.issues
+     */
+    function parseMITAB(text, config) {
+        let rows = createParsedRows(config, ["Interaction Type", "Detection Method", "Confidence", "Source Database", "Publication"]);
+        let interactionNumber = 0;
+        let lines = getTextLines(text).map(function (line) {
+            return {number: line.number, fields: line.text.split("\t")};
+        });
+        let aliases = getMITABAliases(lines, config);
+        lines.forEach(function (line, i) {
+            let fields = line.fields;
+            if (i === 0 && MITAB_HEADER_NAMES.indexOf(fields[0].trim().toLowerCase()) >= 0) {
+                return;
+            }
+            if (fields.length < 15) {
+                addParseIssue(rows, constants.severity.ERROR, line.number, null,
+                    "Line has " + fields.length + " columns, PSI-MI TAB has at least 15");
+                return;
+            }
+            if (fields[MITAB_COLUMNS.NEGATIVE] === "true") {
+                addParseIssue(rows, constants.severity.WARNING, line.number, null, "Negative interaction left out");
+                return;
+            }
+            let proteinA = getMITABInteractorName(fields[MITAB_COLUMNS.ID_A], fields[MITAB_COLUMNS.ALIASES_A], aliases, config);
+            let proteinB = getMITABInteractorName(fields[MITAB_COLUMNS.ID_B], fields[MITAB_COLUMNS.ALIASES_B], aliases, config);
+            if (!proteinA || !proteinB) {
+                [[proteinA, fields[MITAB_COLUMNS.ID_A], config.proteinAColumn], [proteinB, fields[MITAB_COLUMNS.ID_B], config.proteinBColumn]]
+                    .filter(function (interactor) {
+                        return !interactor[0];
+                    })
+                    .forEach(function (interactor) {
+                        addParseIssue(rows, constants.severity.ERROR, line.number, interactor[2],
+                            "Unknown interactor identifier \"" + interactor[1] + "\" in " + interactor[2]);
+                    });
+                return;
+            }
+            interactionNumber++;
+            let interactionType = getMITABValue(fields[MITAB_COLUMNS.INTERACTION_TYPE], true);
+            let row = {};
+            row[config.proteinAColumn] = proteinA;
+            row[config.proteinBColumn] = proteinB;
+            row[config.timePointColumn] = getMITABTimePoint(fields, interactionType, interactionNumber, config);
+            row[config.eventIdColumn] = getMITABValue(fields[MITAB_COLUMNS.INTERACTION_ID], false);
+            row["Interaction Type"] = interactionType;
+            row["Detection Method"] = getMITABValue(fields[MITAB_COLUMNS.DETECTION_METHOD], true);
+            row["Confidence"] = getMITABValue(fields[MITAB_COLUMNS.CONFIDENCE], false);
+            row["Source Database"] = getMITABValue(fields[MITAB_COLUMNS.SOURCE_DATABASE], true);
+            row["Publication"] = getMITABValue(fields[MITAB_COLUMNS.PUBLICATION], false);
+            addParsedRow(rows, row, line.number);
+        });
+        return rows;
+    }
 
-        function getInteractionLabelX(d) {
-            return xScale(d.timePoint) + settings.interactionPointRadius;
+    /**
+     * MITAB fields hold "|" separated database:value(description) entries where the value may be quoted
+     */
+    function parseMITABField(field) {
+        if (!field || field === "-") {
+            return [];
         }
+        return field.split("|").map(function (entry) {
+            let match = /^([^:"]+):(?:"([^"]*)"|([^(]*))(?:\((.*)\))?$/.exec(entry.trim());
+            return match ? {database: match[1], value: match[2] !== undefined ? match[2] : match[3], description: match[4] || ""} : null;
+        });
+    }
 
-        function getInteractionLabelY() {
-            return yScale(tracks.length - trackNumber) + settings.yLabelOffset;
+    /**
+     * @param {boolean} preferDescription - use the description (eg "physical association" from psi-mi:"MI:0915"(physical association)) if there is one
+     */
+    function getMITABValue(field, preferDescription) {
+        let entry = parseMITABField(field)[0];
+        if (!entry) {
+            return "";
         }
+        return (preferDescription && entry.description) || entry.value;
+    }
 
-        function getInteractionLabel(d) {
-            return d.protein;
+    /**
+     * with interactorName "alias" each identifier is named by its alias on whichever lines of the file give one,
+     * so a protein is not split into a track for its alias and one for its identifier from lines that leave the alias out
+     * a "gene name" alias is used before any other
+     * @returns {object} {[identifier]: alias entry}
+     */
+    function getMITABAliases(lines, config) {
+        let aliases = Object.create(null);
+        if (config.interactorName !== constants.interactorName.ALIAS) {
+            return aliases;
         }
+        lines.forEach(function (line) {
+            [[MITAB_COLUMNS.ID_A, MITAB_COLUMNS.ALIASES_A], [MITAB_COLUMNS.ID_B, MITAB_COLUMNS.ALIASES_B]].forEach(function (columns) {
+                let id = parseMITABField(line.fields[columns[0]])[0];
+                let alias = getMITABAlias(line.fields[columns[1]]);
+                if (!id || !id.value || !alias) {
+                    return;
+                }
+                let known = aliases[id.value];
+                if (!known || (alias.description === "gene name" && known.description !== "gene name")) {
+                    aliases[id.value] = alias;
+                }
+            });
+        });
+        return aliases;
     }
 
-    function drawTimeAxis() {
-        let path = graphArea.append("path");
-        let span = xScale.domain();
-        let maxTimePoint = span[1];
-        let timeAxisData =
-            [
-                {x: xScale(span[0]), y: yScale(0)},
-                {x: xScale(span[1]), y: yScale(0)},
-                {x: xScale(span[1]), y: yScale(0) + settings.interactionPointRadius / 4},
-                {x: xScale(span[1]) + settings.interactionPointRadius / 2, y: yScale(0)},
-                {x: xScale(span[1]), y: yScale(0) - settings.interactionPointRadius / 4},
-                {x: xScale(span[1]), y: yScale(0)}
-            ];
-        path.attr("d", drawTimeAxisLine(timeAxisData))
-            .attr("style", "stroke-width: " + settings.interactionPointRadius / 2 + "px;")
-            .classed("timeAxis", true);
-        addTimeAxisLabel(
-            xScale(maxTimePoint) - settings.interactionPointRadius,
-            yScale(0) - settings.yLabelOffset + settings.interactionPointRadius * 2
-        );
-    }
-      
-    let drawTimeAxisLine = d3.line()
-        .x(function (d) {
-            return d.x;
-        })
-        .y(function (d) {
-            return d.y;
+    /**
+     * @returns {object} the "gene name" alias in the field or else its first alias, null if it has none
+     */
+    function getMITABAlias(aliasField) {
+        let aliases = parseMITABField(aliasField).filter(function (alias) {
+            return alias && alias.value;
         });
+        let geneName = aliases.filter(function (alias) {
+            return alias.description === "gene name";
+        })[0];
+        return geneName || aliases[0] || null;
+    }
 
-    function addTimeAxisLabel(x, y) {
-        graphArea
-            .append("text")
-            .classed("timeAxisLabel", true)
-            .style("text-anchor", "end")
-            .attr("x", x)
-            .attr("y", y)
-            .text("Time");
-    }
-
-    function generateSettings() {
-
-        ySpan = getTrackSpan();
-        xSpan = getTimePointSpan();
-
-        let maxTimePoint = xSpan[1],
-            maxTrack = ySpan[1];
-
-        screenDimensions = getScreenDimensions();
-
-        settings.yRatio = (
-            config.yRatio ?
-                config.yRatio * config.screenProportion :
-                getYRatio()
-        );
-
-        settings.xRatio = (
-            config.xRatio ?
-                config.xRatio * config.screenProportion :
-                getXRatio()
-        );
-
-        settings.outerHeight = (
-            config.outerHeight ?
-                config.outerHeight :
-                screenDimensions.height * settings.yRatio
-        );
-        settings.outerWidth = (
-            config.outerWidth ?
-                config.outerWidth :
-                screenDimensions.width * settings.xRatio
-        );
-
-        settings.trackStrokeWidth = Math.min(
-            Math.round(settings.outerWidth / (maxTimePoint * 5)),
-            Math.round(settings.outerHeight / (maxTrack * 8))
-        );
-        settings.interactionPointRadius = settings.trackStrokeWidth;
-
-        settings.interactionLabelHeight = settings.interactionPointRadius * 1.5;
-        document.documentElement.style.setProperty('--baseTextHeight', settings.interactionLabelHeight.toString(), "");
-
-        settings.trackLabelWidth = settings.interactionLabelHeight * settings.maxTrackNameLength / settings.fontHeightWidthRatio;
-
-        settings.yLabelOffset = settings.interactionPointRadius + settings.interactionLabelHeight * 1.2;//1.2 so that there is a 20% gap between the point and the text
-        settings.xLabelOffset = 2 * settings.interactionPointRadius + settings.trackLabelWidth;
-
-        settings.margin = {
-            left: settings.xLabelOffset + settings.interactionPointRadius * 2,
-            top: settings.interactionPointRadius * 2,
-            right: settings.interactionPointRadius * 2,
-            bottom: settings.interactionPointRadius * 2
-        };
-
-        settings.innerWidth = settings.outerWidth - settings.margin.left - settings.margin.right;
-        settings.innerHeight = settings.outerHeight - settings.margin.top - settings.margin.bottom;
+    /**
+     * an interactor is unknown if its identifier is missing or not a database:identifier pair and it has no alias to use instead
+     * @param {object} aliases - {[identifier]: alias entry} from getMITABAliases
+     */
+    function getMITABInteractorName(idField, aliasField, aliases, config) {
+        let id = parseMITABField(idField)[0];
+        if (id && id.value) {
+            return aliases[id.value] ? aliases[id.value].value : id.value;
+        }
+        let alias = config.interactorName === constants.interactorName.ALIAS ? getMITABAlias(aliasField) : null;
+        return alias ? alias.value : "";
     }
 
-    function getYRatio() {
-        let maxTimePoint = xSpan[1],
-            maxTrack = ySpan[1];
-        let yRatio = (screenDimensions.width / maxTrack ) / (screenDimensions.height / maxTimePoint);
-        return yRatio > 1 ? config.screenProportion : yRatio * config.screenProportion;
+    /**
+     * an interaction with no value for config.interactionTimeField is given a blank time point to be reported by the data validation
+     */
+    function getMITABTimePoint(fields, interactionType, interactionNumber, config) {
+        let field = parseInteractionTimeField(config);
+        if (!field) {
+            return interactionNumber;
+        }
+        if (field.source === "type") {
+            return interactionType;
+        }
+        let column = field.source === "parameter" ? MITAB_COLUMNS.PARAMETERS : MITAB_COLUMNS.INTERACTION_ANNOTATIONS;
+        let entry = parseMITABField(fields[column]).filter(function (entry) {
+            return entry && entry.database === field.name;
+        })[0];
+        return entry ? entry.value.trim() : "";
     }
 
-    function getXRatio() {
-        let maxTimePoint = xSpan[1],
-            maxTrack = ySpan[1];
-        let xRatio = (screenDimensions.width / maxTrack) / (screenDimensions.height / maxTimePoint );
-        return xRatio > 1 ? config.screenProportion : xRatio * config.screenProportion;
+    /**
+     * @returns {object} {source, name} from config.interactionTimeField or null if it is not set
+     */
+    function parseInteractionTimeField(config) {
+        if (!config.interactionTimeField) {
+            return null;
+        }
+        let parts = config.interactionTimeField.split(":");
+        return {source: parts[0], name: parts.slice(1).join(":")};
     }
 
-    function clear() {
-        if (canvasArea) {
-            canvasArea.remove();
+    /**
+     * builds rows keyed by the config columns from a Cytoscape SIF file, one row for each target of each "source relationship target..." line
+     * the relationship is kept as the Interaction Type column, lines with a single node have no interactions and are reported in rows.issues
+     */
+    function parseSIF(text, config) {
+        let rows = createParsedRows(config, ["Interaction Type"]);
+        let timeField = parseInteractionTimeField(config);
+        let interactionNumber = 0;
+        getTextLines(text).forEach(function (line) {
+            let fields = (line.text.indexOf("\t") >= 0 ? line.text.split("\t") : line.text.split(/\s+/)).map(function (field) {
+                return field.trim();
+            });
+            if (fields.length < 3) {
+                addParseIssue(rows, constants.severity.WARNING, line.number, null, "Node " + fields[0] + " has no interactions");
+                return;
+            }
+            fields.slice(2).forEach(function (target) {
+                interactionNumber++;
+                let row = {};
+                row[config.proteinAColumn] = fields[0];
+                row[config.proteinBColumn] = target;
+                row[config.timePointColumn] = timeField && timeField.source === "type" ? fields[1] : interactionNumber;
+                row["Interaction Type"] = fields[1];
+                addParsedRow(rows, row, line.number);
+            });
+        });
+        if (timeField && timeField.source !== "type") {
+            addParseIssue(rows, constants.severity.WARNING, null, config.timePointColumn,
+                "SIF has no " + timeField.source + " values, interactionTimeField " + config.interactionTimeField + " was ignored");
         }
-        canvasArea = null;
-        graphArea = null;
+        return rows;
+    }
 
-        interactionEvents = [];
-        trackCounts = Object.create(null);
-        tracks = [];
+    function createParsedRows(config, extraColumns) {
+        let rows = [];
+        rows.columns = [config.proteinAColumn, config.proteinBColumn, config.timePointColumn, config.eventIdColumn].concat(extraColumns);
+        rows.issues = [];
+        rows.rowNumbers = [];
+        return rows;
+    }
 
-        xSpan = null;
-        ySpan = null;
-        xScale = null;
-        yScale = null;
+    function addParsedRow(rows, row, lineNumber) {
+        rows.push(row);
+        rows.rowNumbers.push(lineNumber);
     }
 
-    function setupCanvas() {
-        canvasArea = d3.select(config.selector)
-            .append("svg")
-            .attr("width", settings.outerWidth)
-            .attr("height", settings.outerHeight);
+    function addParseIssue(rows, severity, lineNumber, column, message) {
+        rows.issues.push({row: lineNumber, severity: severity, column: column, message: message});
+    }
 
-        graphArea = canvasArea
-            .append("g")
-            .attr("transform", "translate(" + settings.margin.left + "," + settings.margin.top + ")");
+    /**
+     * @returns {Array} [{number, text}] of the lines that are not blank or # comments/headers, numbered from 1
+     */
+    function getTextLines(text) {
+        return text.split(/\r?\n/)
+            .map(function (line, i) {
+                return {number: i + 1, text: line};
+            })
+            .filter(function (line) {
+                return line.text.trim() && line.text.charAt(0) !== "#";
+            });
+    }
 
-        xScale = d3.scaleLinear().range([0, settings.innerWidth]);
-        yScale = d3.scaleLinear().range([settings.innerHeight, 0]);
+    /**
+     * serialises an SVG element to standalone markup
+     */
+    function serializeSVG(svgElement) {
+        return new XMLSerializer().serializeToString(svgElement);
+    }
 
-        xScale.domain(xSpan);
-        yScale.domain(ySpan);
+    /**
+     * the first of the chart's controls in its container (this), only its children are matched so a chart in the body is not put before the controls of a chart in another element
+     */
+    function getFirstControl() {
+        return Array.prototype.find.call(this.children, function (child) {
+            return child.matches(CONTROLS_SELECTOR);
+        }) || null;
     }
 
-    function validateEventData(data) {
-        if (!((data.length > 0) && data[0][config.timePointColumn] && data[0][config.proteinAColumn] && data[0][config.proteinBColumn])) {
-            throw "Data loaded does not match config settings";
-        }
-        return true;
+    function setVisuallyHidden(selection, isHidden) {
+        d3.keys(VISUALLY_HIDDEN_STYLE).forEach(function (property) {
+            selection.style(property, isHidden ? VISUALLY_HIDDEN_STYLE[property] : null);
+        });
     }
 
-    function validateConfig() {
-        if (!(config.screenProportion > 0 && config.screenProportion <= 1)) {
-            throw "Config screenProportion settings are invalid";
-        }
-        if (!((config.xRatio > 0 && config.xRatio <= 1) || (!config.xRatio ) || (config.outerWidth > 0))) {
-            throw "Config Width settings are invalid";
-        }
-        if (!((config.yRatio > 0 && config.yRatio <= 1) || (!config.yRatio ) || (config.outerHeight > 0))) {
-            throw "Config Height settings are invalid";
-        }
-        if (!(config.minimumInteractionCount >= 1)) {
-            throw "Config minimumInteractionCount settings are invalid";
-        }
-        if (!(config.timePointColumn > "" && config.proteinAColumn > "" && config.proteinBColumn > "")) {
-            throw "Config import column settings are invalid";
-        }
-        if (d3.select(config.selector).empty()) {
-            throw "Config selector settings are invalid";
+    function escapeXML(text) {
+        return text
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    /**
+     * a trackOrder list is an array of proteins or, so it can be set from the URL, a comma separated string of them
+     */
+    function isTrackOrderList(trackOrder) {
+        return Array.isArray(trackOrder) || (typeof trackOrder === "string" && trackOrder.indexOf(",") >= 0);
+    }
+
+    /**
+     * @param {Array|string} proteins - an array of proteins or a comma separated string of them
+     */
+    function getProteinList(proteins) {
+        if (!proteins) {
+            return [];
         }
-        return true;
+        return (Array.isArray(proteins) ? proteins : String(proteins).split(","))
+            .map(function (protein) {
+                return String(protein).trim();
+            })
+            .filter(Boolean);
     }
 
-    function getScreenDimensions() {
-        const SCROLLBAR_WIDTH = 20;
-        let w = window,
-            d = document,
-            e = d.documentElement,
-            g = d.getElementsByTagName('body')[0],
-            x = w.innerWidth || e.clientWidth || g.clientWidth,
-            y = w.innerHeight || e.clientHeight || g.clientHeight;
-        return {width: x - SCROLLBAR_WIDTH, height: y - SCROLLBAR_WIDTH};
+    function isConstantValue(constantGroup, value) {
+        return Object.keys(constantGroup).some(function (key) {
+            return constantGroup[key] === value;
+        });
     }
 
     function toConsoleError(err) {
@@ -632,8 +6308,6 @@ let multiComplex = function () {
         }
     }
 
-    /* end internal functions */
-
     /*return public interface*/
     return multiComplexReturns;
 